@@ -2,10 +2,46 @@
 const api = window.electronAPI;
 
 // Constants
-const CURRENT_SCHEMA_VERSION = 1;
+const CURRENT_SCHEMA_VERSION = 2;
 const MAX_HISTORY_SIZE = 20;
 const INITIAL_ROW_LIMIT = 100;
 const ROW_INCREMENT = 50;
+const PREVIEW_ROW_LIMIT = 200;
+const IMPORT_EXTENSIONS = ['csv', 'txt', 'tsv', 'tab', 'json', 'jsonl', 'ndjson', 'xlsx', 'xls'];
+const STREAMED_EXTENSIONS = ['csv', 'txt', 'tsv', 'tab']; // Parsed in chunks by the main process
+const VALIDATION_CHUNK_SIZE = 5000; // Rows validated between UI updates
+const DATE_ORDER_LABELS = { MDY: 'Month first (MM/DD/YYYY)', DMY: 'Day first (DD/MM/YYYY)' };
+const EVENT_BEST_LIMIT = 10; // Accounts listed as an event's best
+const FORECAST_MIN_TESTS = 3; // Tests an account needs before its trend is projected
+const FORECAST_WINDOW = 10; // Recent tests the trend is fitted to, so old form doesn't outweigh new
+// Two-sided 80% Student's t values by degrees of freedom (1 to FORECAST_WINDOW - 2), for the forecast band
+const FORECAST_T_VALUES = [3.078, 1.886, 1.638, 1.533, 1.476, 1.440, 1.415, 1.397];
+
+const MAX_TIER_NAME_LENGTH = 30;
+
+// Queue % tiers, best first, until settings.tiers replaces them. A test is in the first tier
+// whose max its queue % is at or under, or in the last tier past every max; alert tiers ding
+// and glow. A tier's badge and filter pick out accounts whose latest test counts for it (see
+// countsForTier). The defaults match the fixed bands, colors, Juice badge and filters used
+// before tiers could be edited.
+const DEFAULT_TIERS = [
+    { id: 'instants', name: 'Instants', max: 1, minAnchor: 0, color: '#00e676', badge: false, alert: true },
+    { id: 'juice', name: 'Juice', max: 10, minAnchor: 50000, color: '#00c853', badge: true, alert: true },
+    { id: 'excellent', name: 'Excellent', max: 20, minAnchor: 0, color: '#4caf50', badge: false, alert: false },
+    { id: 'good', name: 'Good', max: 40, minAnchor: 0, color: '#fbbf24', badge: false, alert: false },
+    { id: 'neutral', name: 'Neutral', max: 60, minAnchor: 0, color: '#fb923c', badge: false, alert: false },
+    { id: 'poor', name: 'Poor', max: 100, minAnchor: 0, color: '#ef4444', badge: false, alert: false }
+];
+
+// QueueTrack import fields, their standard CSV headers and common alternative names
+const IMPORT_FIELDS = [
+    { key: 'email', header: 'Email', label: 'Email', required: true, aliases: ['email', 'e-mail', 'email address', 'account', 'account email', 'user'] },
+    { key: 'testingDate', header: 'Testing Date', label: 'Testing Date', required: true, aliases: ['testing date', 'test date', 'date', 'tested', 'timestamp', 'tested at'] },
+    { key: 'testingTime', header: 'Testing Time', label: 'Testing Time', required: false, aliases: ['testing time', 'test time', 'time'] },
+    { key: 'eventName', header: 'Event Name', label: 'Event Name', required: true, aliases: ['event name', 'event', 'show', 'sale'] },
+    { key: 'queueNumber', header: 'Queue Number', label: 'Queue Number', required: true, aliases: ['queue number', 'queue position', 'position', 'queue', 'number'] },
+    { key: 'queueAnchor', header: 'Queue Anchor', label: 'Queue Anchor', required: false, aliases: ['queue anchor', 'anchor', 'total', 'queue size', 'queue total'] }
+];
 
 // Row size configurations
 const ROW_SIZES = {
@@ -18,10 +54,19 @@ const ROW_SIZES = {
 // State
 let allTests = [];
 let importHistory = []; // Track CSV imports { id, filename, date, testCount }
+let importedHashes = []; // Content hashes of every file imported, so watched files are never imported twice
+let watchImportQueue = Promise.resolve(); // Serializes auto-imports from watched folders
 let settings = {
     darkMode: false,
     rowSize: 'normal',
-    groups: {}
+    groups: {},
+    columnMappings: {}, // Saved column mappings keyed by header signature
+    duplicatePolicy: 'skip', // 'skip' | 'overwrite' | 'keep'
+    dateFormat: 'auto', // 'auto' | 'MDY' | 'DMY', for dates a file doesn't disambiguate
+    watchFolders: [],
+    projectionThreshold: 10, // Queue % the "Projected" filter chip shows accounts at or below
+    tiers: DEFAULT_TIERS.map(tier => ({ ...tier })),
+    backupRetention: { hourly: 24, daily: 14, import: 10, clear: 10 } // Backups kept per kind
 };
 let currentFilter = 'all';
 let currentSort = { field: 'change', direction: 'desc' };
@@ -32,7 +77,30 @@ let compareMode = false;
 let selectedForCompare = new Set();
 let isManualUpdateCheck = false;
 let currentPage = 'home'; // 'home' or 'settings'
-let previousBestByEmail = {}; // Track previous best queue% per email for sound triggers
+let previousAlertByEmail = {}; // Whether each account's latest test was in an alert tier, for sound triggers
+let columnMappingResolve = null; // Resolves the pending column mapping wizard
+let importPreviewState = null; // { jobs, jobIndex, resolve, filter, visibleCount } while the preview is open
+let sheetPickerResolve = null; // Resolves the pending workbook sheet choice
+let promptSubmit = null; // Handler for the open prompt modal
+let savedTestState = new Map(); // Test ID -> stored JSON as last saved, for incremental saves
+let savedImportState = new Map(); // Import ID -> stored JSON as last saved, for incremental saves
+let savedMetaState = null; // Stored JSON of the import order and hashes as last saved; null forces a full save
+let workspaceState = { active: null, workspaces: [] }; // Workspace list from the main process
+let loadedBackup = null; // { meta, data } of the backup last read in the backups modal
+let pendingBundle = null; // Validated workspace export waiting for Replace or Merge
+let detailsTestId = null; // Test shown in the Test Details modal
+let testFormState = null; // { testId } while the add/edit test form is open; testId is null when adding
+let encryptionEnabled = false; // Whether the open workspace is encrypted
+let openEventName = null; // Event shown in detail on the Events page
+let passphraseMode = null; // 'enable' | 'change' | 'disable' while the passphrase modal is open
+let isImporting = false;
+let activeImportStream = null; // { id, label, rows } while a file is being streamed in
+
+// Short unique ID for imports and other records
+function generateId() {
+    // Long enough random part that IDs minted in the same millisecond don't collide
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
 
 // HTML escaping utility to prevent XSS
 function escapeHtml(str) {
@@ -58,18 +126,26 @@ function navigateTo(page) {
         document.getElementById('navHome').classList.add('active');
         document.getElementById('mainContent').style.display = 'flex';
         document.getElementById('settingsPage').style.display = 'none';
+        document.getElementById('eventsPage').style.display = 'none';
         document.getElementById('toolsBar').style.display = 'flex';
         document.getElementById('searchWrapper').style.display = 'flex';
         document.getElementById('importBtn').style.display = 'block';
+        document.getElementById('pasteBtn').style.display = 'block';
         document.getElementById('pageTitle').textContent = 'Home';
-    } else if (page === 'settings') {
-        document.getElementById('navSettings').classList.add('active');
+    } else if (page === 'settings' || page === 'events') {
+        document.getElementById(page === 'settings' ? 'navSettings' : 'navEvents').classList.add('active');
         document.getElementById('mainContent').style.display = 'none';
-        document.getElementById('settingsPage').style.display = 'block';
+        document.getElementById('settingsPage').style.display = page === 'settings' ? 'block' : 'none';
+        document.getElementById('eventsPage').style.display = page === 'events' ? 'block' : 'none';
         document.getElementById('toolsBar').style.display = 'none';
         document.getElementById('searchWrapper').style.display = 'none';
         document.getElementById('importBtn').style.display = 'none';
-        document.getElementById('pageTitle').textContent = 'Settings';
+        document.getElementById('pasteBtn').style.display = 'none';
+        document.getElementById('pageTitle').textContent = page === 'settings' ? 'Settings' : 'Events';
+        if (page === 'events') {
+            openEventName = null;
+            renderEventsPage();
+        }
 
         // Hide timeline/comparison if visible
         document.getElementById('timelinePage').style.display = 'none';
@@ -89,6 +165,8 @@ function updateToolsStats() {
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        await loadWorkspaces();
+        await unlockWorkspace();
         await loadSettings();
         await loadData();
         setupEventListeners();
@@ -96,6 +174,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateUndoRedoButtons();
         applyRowSize();
         setupAutoUpdater();
+        api.onWatchedFile(queueWatchedFile);
+        api.onImportStreamProgress(handleImportStreamProgress);
+        renderWatchFolders();
+        await applyWatchFolders();
     } catch (error) {
         showToast('Failed to initialize app: ' + error.message, 'error');
         console.error('Init error:', error);
@@ -267,6 +349,9 @@ async function loadSettings() {
         // Row size
         const rowSizeSelect = document.getElementById('rowSizeSelect');
         if (rowSizeSelect) rowSizeSelect.value = settings.rowSize || 'normal';
+        document.getElementById('dateFormatSelect').value = settings.dateFormat || 'auto';
+        document.getElementById('projectionThresholdInput').value = settings.projectionThreshold;
+        renderBackupRetention();
 
         if (settings.darkMode) {
             document.body.classList.add('dark');
@@ -274,6 +359,8 @@ async function loadSettings() {
             document.getElementById('lightBtn').classList.remove('active');
         }
     }
+    // Before the data loads, since loading can take a scheduled backup
+    await applyBackupRetention();
 }
 
 async function saveSettings() {
@@ -294,9 +381,9 @@ function applyRowSize() {
 function migrateData(data) {
     if (!data.version) {
         console.log('Migrating legacy data to schema v1');
-        return {
+        data = {
             version: 1,
-            tests: Array.isArray(data) ? data : [],
+            tests: Array.isArray(data) ? data : data.tests || [],
             imports: []
         };
     }
@@ -304,9 +391,35 @@ function migrateData(data) {
     if (!data.imports) {
         data.imports = [];
     }
+
+    if (data.version < 2) {
+        // v2: every test gets an ID and created/modified timestamps. Existing tests are
+        // dated from their import where it's known.
+        const importDates = {};
+        data.imports.forEach(imp => {
+            importDates[imp.id] = imp.date;
+        });
+        const now = new Date().toISOString();
+        data.tests.forEach(t => {
+            if (!t.id) t.id = generateId();
+            if (!t.createdAt) t.createdAt = importDates[t.importId] || now;
+            if (!t.modifiedAt) t.modifiedAt = t.createdAt;
+        });
+        data.version = 2;
+    }
     return data;
 }
 
+// Gives a test its ID and timestamps. Every test added to allTests goes through here.
+function createTestRecord(fields) {
+    const now = new Date().toISOString();
+    return { ...fields, id: generateId(), createdAt: now, modifiedAt: now };
+}
+
+function findTestById(id) {
+    return allTests.find(t => t.id === id) || null;
+}
+
 // Data Management
 async function loadData() {
     const result = await api.loadData();
@@ -318,26 +431,112 @@ async function loadData() {
             showToast('Data file was corrupted and no backup available. Starting fresh.', 'error');
         }
 
+        const originalVersion = result.data.version || 0;
         const migratedData = migrateData(result.data);
 
-        if (migratedData.version !== result.data.version) {
-            console.log(`Data migrated from v${result.data.version || 0} to v${migratedData.version}`);
-            await saveData();
-        }
-
         allTests = migratedData.tests;
         importHistory = migratedData.imports || [];
+        importedHashes = migratedData.importedHashes || [];
         recalculateAll();
+
+        // Migrated data is written out in full; otherwise the store already matches
+        if (migratedData.version !== originalVersion) {
+            console.log(`Data migrated from v${originalVersion} to v${migratedData.version}`);
+            await saveAllData();
+        } else {
+            resetSavedState();
+        }
     }
 }
 
+// Saves only what changed since the last save, as one atomic changeset. Falls back to
+// a full write when there is nothing to compare against.
 async function saveData() {
-    const dataToSave = {
+    if (savedMetaState === null) {
+        await saveAllData();
+        return;
+    }
+
+    const { upserts, removes } = diffSavedItems(allTests.map(getStoredTest), savedTestState);
+    const changes = { upserts, removes };
+
+    // Imports can carry a whole rejected-rows CSV, so only the ones that changed are sent
+    const imports = diffSavedItems(importHistory, savedImportState);
+    if (imports.upserts.length > 0 || imports.removes.length > 0) changes.imports = imports;
+
+    const meta = getSavedMeta();
+    const metaJson = JSON.stringify(meta);
+    if (metaJson !== savedMetaState) {
+        changes.meta = meta;
+        savedMetaState = metaJson;
+    }
+    if (upserts.length === 0 && removes.length === 0 && !changes.imports && !changes.meta) return;
+
+    const result = await api.saveChanges(changes);
+    if (!result.success) {
+        // The baseline no longer matches the store, so write everything next time
+        savedMetaState = null;
+        showToast(`Could not save data: ${result.error}`, 'error');
+    }
+}
+
+async function saveAllData() {
+    const data = {
         version: CURRENT_SCHEMA_VERSION,
-        tests: allTests,
-        imports: importHistory
+        tests: allTests.map(getStoredTest),
+        ...getStoredMeta()
     };
-    await api.saveData(dataToSave);
+    const result = await api.saveData(data);
+    if (result.success) {
+        resetSavedState();
+    } else {
+        showToast(`Could not save data: ${result.error}`, 'error');
+    }
+}
+
+// Derived fields are recalculated on load, so they aren't stored
+function getStoredTest(test) {
+    const { testingNum, queuePercent, queueChangePercent, ...stored } = test;
+    return stored;
+}
+
+function getStoredMeta() {
+    return { imports: importHistory, importedHashes };
+}
+
+// What an incremental save compares besides the tests and imports themselves
+function getSavedMeta() {
+    return { importOrder: importHistory.map(imp => imp.id), importedHashes };
+}
+
+// Returns the items whose stored JSON differs from `savedState` and the IDs of saved
+// items that are gone, and updates `savedState` to match
+function diffSavedItems(items, savedState) {
+    const upserts = [];
+    const removes = [];
+    const seen = new Set();
+    items.forEach(item => {
+        const json = JSON.stringify(item);
+        seen.add(item.id);
+        if (savedState.get(item.id) !== json) {
+            upserts.push(item);
+            savedState.set(item.id, json);
+        }
+    });
+    savedState.forEach((json, id) => {
+        if (!seen.has(id)) {
+            removes.push(id);
+            savedState.delete(id);
+        }
+    });
+    return { upserts, removes };
+}
+
+// Records the current data as what the store holds
+function resetSavedState() {
+    savedTestState = new Map(allTests.map(t => [t.id, JSON.stringify(getStoredTest(t))]));
+    savedImportState = new Map(importHistory.map(imp => [imp.id, JSON.stringify(imp)]));
+    savedMetaState = JSON.stringify(getSavedMeta());
 }
 
 // Confirmation Modal Helper
@@ -364,25 +563,81 @@ function closeConfirmModal() {
     document.getElementById('confirmModal').classList.remove('visible');
 }
 
+// Asks for a single value. onSubmit(value) returns an error message to keep the
+// modal open, or nothing to close it.
+// inputType 'password' hides what is typed and keeps it untrimmed
+function showPromptModal(title, message, value, actionText, onSubmit, inputType = 'text') {
+    document.getElementById('promptTitle').textContent = title;
+    document.getElementById('promptMessage').textContent = message;
+    document.getElementById('promptError').textContent = '';
+    document.getElementById('promptActionBtn').textContent = actionText || 'Save';
+
+    const input = document.getElementById('promptInput');
+    input.type = inputType;
+    input.value = value || '';
+    promptSubmit = onSubmit;
+
+    document.getElementById('promptModal').classList.add('visible');
+    input.focus();
+    input.select();
+}
+
+async function submitPromptModal() {
+    if (!promptSubmit) return;
+    const input = document.getElementById('promptInput');
+    const error = await promptSubmit(input.type === 'password' ? input.value : input.value.trim());
+    if (error) {
+        document.getElementById('promptError').textContent = error;
+        return;
+    }
+    closePromptModal();
+}
+
+function closePromptModal() {
+    promptSubmit = null;
+    document.getElementById('promptModal').classList.remove('visible');
+}
+
 // Loading Overlay Helper
-function showLoadingOverlay(message) {
+// options.progress (0-100) shows a progress bar; options.onCancel shows a Cancel button
+function showLoadingOverlay(message, options = {}) {
     const overlay = document.getElementById('loadingOverlay');
     const text = document.getElementById('loadingOverlayText');
+    const progress = document.getElementById('loadingProgress');
+    const cancelBtn = document.getElementById('loadingCancelBtn');
+
     text.textContent = message || 'Loading...';
+    progress.classList.toggle('visible', options.progress !== undefined);
+    document.getElementById('loadingProgressFill').style.width = `${options.progress || 0}%`;
+    cancelBtn.classList.toggle('visible', !!options.onCancel);
+    cancelBtn.disabled = false;
+    cancelBtn.onclick = options.onCancel ? () => {
+        cancelBtn.disabled = true;
+        options.onCancel();
+    } : null;
     overlay.classList.add('visible');
 }
 
+function updateLoadingProgress(percent, message) {
+    document.getElementById('loadingProgressFill').style.width = `${Math.min(100, Math.max(0, percent))}%`;
+    if (message) document.getElementById('loadingOverlayText').textContent = message;
+}
+
 function hideLoadingOverlay() {
     document.getElementById('loadingOverlay').classList.remove('visible');
+    document.getElementById('loadingProgress').classList.remove('visible');
+    document.getElementById('loadingCancelBtn').classList.remove('visible');
+    document.getElementById('loadingCancelBtn').onclick = null;
 }
 
 async function clearAllData() {
     showConfirmModal(
         'Delete All Data',
-        'Are you sure you want to delete ALL data? This will permanently remove all imported tests and cannot be undone.',
+        'Are you sure you want to delete ALL data? This will remove all imported tests. A backup is made first, and you can undo this or restore the backup from Settings.',
         'Delete Everything',
         async () => {
-            saveToHistory();
+            await backupBeforeChange('clear', 'Before clearing all data');
+            saveToHistory('Deleted all data');
             allTests = [];
             await saveData();
             renderTable();
@@ -392,8 +647,60 @@ async function clearAllData() {
 }
 
 // Undo/Redo Functions
-function saveToHistory() {
-    undoHistory.push(JSON.parse(JSON.stringify(allTests)));
+// Each history entry is labelled with the change it undoes and holds everything that change
+// could touch: the tests, the import history and the settings. Dark mode, column mappings and
+// the projection filter threshold are left alone, since they change as a side effect of
+// looking at or importing data.
+const UNHISTORIED_SETTINGS = ['darkMode', 'columnMappings', 'projectionThreshold'];
+
+function getHistorySnapshot() {
+    const historySettings = { ...settings };
+    UNHISTORIED_SETTINGS.forEach(key => delete historySettings[key]);
+    return JSON.parse(JSON.stringify({
+        tests: allTests,
+        imports: importHistory,
+        importedHashes,
+        settings: historySettings
+    }));
+}
+
+function restoreHistorySnapshot(snapshot) {
+    allTests = snapshot.tests;
+    importHistory = snapshot.imports;
+    importedHashes = snapshot.importedHashes;
+
+    const changed = key => JSON.stringify(snapshot.settings[key]) !== JSON.stringify(settings[key]);
+    const watchFoldersChanged = changed('watchFolders');
+    const retentionChanged = changed('backupRetention');
+    const settingsChanged = Object.keys({ ...settings, ...snapshot.settings })
+        .some(key => !UNHISTORIED_SETTINGS.includes(key) && changed(key));
+    if (!settingsChanged) return;
+
+    const kept = {};
+    UNHISTORIED_SETTINGS.forEach(key => { kept[key] = settings[key]; });
+    settings = { ...snapshot.settings, ...kept };
+    saveSettings();
+
+    applyRowSize();
+    document.getElementById('rowSizeSelect').value = settings.rowSize || 'normal';
+    document.getElementById('dateFormatSelect').value = settings.dateFormat || 'auto';
+    document.getElementById('duplicatePolicySelect').value = settings.duplicatePolicy || 'skip';
+    renderBackupRetention();
+    renderWatchFolders();
+    if (retentionChanged) applyBackupRetention();
+    if (watchFoldersChanged) applyWatchFolders();
+
+    resetMissingGroupFilter();
+    renderGroupFilterChips();
+    if (document.getElementById('groupModal').classList.contains('visible')) renderGroupList();
+    renderTierSettings();
+    resetMissingTierFilter();
+    renderTierFilterChips();
+}
+
+// Call before a change, with a short description of it, e.g. "Deleted group VIP"
+function saveToHistory(label) {
+    undoHistory.push({ label, time: Date.now(), state: getHistorySnapshot() });
     if (undoHistory.length > MAX_HISTORY_SIZE) {
         undoHistory.shift();
     }
@@ -401,18 +708,33 @@ function saveToHistory() {
     updateUndoRedoButtons();
 }
 
+// Moves one step from one stack to the other, leaving the current state in its place
+function stepHistory(from, to) {
+    const entry = from.pop();
+    to.push({ label: entry.label, time: entry.time, state: getHistorySnapshot() });
+    restoreHistorySnapshot(entry.state);
+    return entry;
+}
+
+function refreshAfterHistoryChange() {
+    recalculateAll();
+    saveData();
+    renderTable();
+    if (currentPage === 'events') renderEventsPage();
+    if (document.getElementById('importHistoryModal').classList.contains('visible')) renderImportHistory();
+    updateUndoRedoButtons();
+    if (document.getElementById('historyModal').classList.contains('visible')) renderHistoryList();
+    if (document.getElementById('dataCheckModal').classList.contains('visible')) renderDataCheck();
+}
+
 function undo() {
     if (undoHistory.length === 0) {
         showToast('Nothing to undo', 'info');
         return;
     }
-    redoHistory.push(JSON.parse(JSON.stringify(allTests)));
-    allTests = undoHistory.pop();
-    recalculateAll();
-    saveData();
-    renderTable();
-    showToast('Undo successful', 'success');
-    updateUndoRedoButtons();
+    const entry = stepHistory(undoHistory, redoHistory);
+    refreshAfterHistoryChange();
+    showToast(`Undid: ${entry.label}`, 'success');
 }
 
 function redo() {
@@ -420,117 +742,399 @@ function redo() {
         showToast('Nothing to redo', 'info');
         return;
     }
-    undoHistory.push(JSON.parse(JSON.stringify(allTests)));
-    allTests = redoHistory.pop();
-    recalculateAll();
-    saveData();
-    renderTable();
-    showToast('Redo successful', 'success');
-    updateUndoRedoButtons();
+    const entry = stepHistory(redoHistory, undoHistory);
+    refreshAfterHistoryChange();
+    showToast(`Redid: ${entry.label}`, 'success');
 }
 
 function updateUndoRedoButtons() {
     const undoBtn = document.getElementById('undoBtn');
     const redoBtn = document.getElementById('redoBtn');
+    const historyBtn = document.getElementById('historyBtn');
 
     if (undoBtn) {
         undoBtn.style.display = undoHistory.length > 0 ? 'inline-flex' : 'none';
-        undoBtn.title = `Undo (${undoHistory.length} available)`;
+        undoBtn.title = undoHistory.length > 0 ? `Undo: ${undoHistory[undoHistory.length - 1].label}` : 'Undo';
     }
 
     if (redoBtn) {
         redoBtn.style.display = redoHistory.length > 0 ? 'inline-flex' : 'none';
-        redoBtn.title = `Redo (${redoHistory.length} available)`;
+        redoBtn.title = redoHistory.length > 0 ? `Redo: ${redoHistory[redoHistory.length - 1].label}` : 'Redo';
+    }
+
+    if (historyBtn) {
+        historyBtn.style.display = undoHistory.length + redoHistory.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+// History panel: every step, oldest first, with the undone ones greyed out after the
+// current state. Clicking a step goes back or forward to just after it.
+function showHistoryModal() {
+    document.getElementById('historyModal').classList.add('visible');
+    renderHistoryList();
+}
+
+function closeHistoryModal() {
+    document.getElementById('historyModal').classList.remove('visible');
+}
+
+function renderHistoryList() {
+    const container = document.getElementById('historyList');
+    container.innerHTML = '';
+
+    const addRow = (label, time, className, onClick) => {
+        const row = document.createElement('div');
+        row.className = 'import-history-row history-row ' + className;
+
+        const info = document.createElement('div');
+        info.className = 'import-history-info';
+        const name = document.createElement('div');
+        name.className = 'import-history-filename';
+        name.textContent = label;
+        info.appendChild(name);
+        if (time) {
+            const meta = document.createElement('div');
+            meta.className = 'import-history-meta';
+            meta.textContent = new Date(time).toLocaleTimeString();
+            info.appendChild(meta);
+        }
+        row.appendChild(info);
+
+        if (onClick) row.onclick = onClick;
+        container.appendChild(row);
+    };
+
+    const oldest = undoHistory.length === MAX_HISTORY_SIZE ? 'Oldest kept state' : 'Opened';
+    addRow(oldest, null, undoHistory.length === 0 ? 'selected' : '', undoHistory.length > 0 ? () => jumpToHistory(-undoHistory.length) : null);
+    undoHistory.forEach((entry, i) => {
+        const steps = i + 1 - undoHistory.length;
+        addRow(entry.label, entry.time, steps === 0 ? 'selected' : '', steps < 0 ? () => jumpToHistory(steps) : null);
+    });
+    for (let i = redoHistory.length - 1; i >= 0; i--) {
+        const entry = redoHistory[i];
+        addRow(entry.label, entry.time, 'undone', () => jumpToHistory(redoHistory.length - i));
+    }
+}
+
+// Negative steps undo, positive ones redo; the whole jump saves and renders once
+function jumpToHistory(steps) {
+    for (let i = 0; i < Math.abs(steps); i++) {
+        if (steps < 0) stepHistory(undoHistory, redoHistory);
+        else stepHistory(redoHistory, undoHistory);
     }
+    refreshAfterHistoryChange();
+    showToast(`${steps < 0 ? 'Undid' : 'Redid'} ${Math.abs(steps)} step${Math.abs(steps) !== 1 ? 's' : ''}`, 'success');
 }
 
 // CSV Import
 async function importCSV() {
+    const filePaths = await api.selectCsvFiles();
+    if (!filePaths || filePaths.length === 0) return;
+    await importFiles(filePaths);
+}
+
+// Reads, maps and previews one or more files, then commits them as a single undo step
+async function importFiles(filePaths) {
+    if (isImporting) {
+        showToast('An import is already in progress', 'error');
+        return;
+    }
+    isImporting = true;
+
+    const jobs = [];
+    const failures = [];
+
     try {
-        const filePath = await api.selectCsvFile();
-        if (!filePath) return;
+        for (let i = 0; i < filePaths.length; i++) {
+            const filename = filePaths[i].split(/[/\\]/).pop(); // Get filename from path
+            const label = filePaths.length > 1
+                ? `Reading file ${i + 1} of ${filePaths.length}: ${filename}`
+                : `Reading ${filename}...`;
+
+            try {
+                const result = await readFileForImport(filePaths[i], label);
+                if (result.cancelled) {
+                    // Cancelling a read abandons the whole batch
+                    hideLoadingOverlay();
+                    showToast('Import cancelled', 'info');
+                    return;
+                }
+                if (!result.success) throw new Error(result.error);
+                hideLoadingOverlay();
+
+                const table = await parseImportFile(filename, result);
+                if (!table) {
+                    failures.push({ filename, error: 'Cancelled', cancelled: true });
+                    continue;
+                }
 
-        showToast('Importing CSV...', 'info');
+                const mapping = await resolveColumnMapping(table);
+                if (!mapping) {
+                    failures.push({ filename, error: 'Cancelled', cancelled: true });
+                    continue;
+                }
+
+                const job = await createImportJob(filename, table, mapping);
+                if (job.rows.length === 0) throw new Error('No data rows found');
+                job.hash = result.hash;
+                job.filePath = filePaths[i];
+                job.sheet = table.sheet || null;
+                jobs.push(job);
+            } catch (error) {
+                failures.push({ filename, error: error.message });
+            }
+        }
+        hideLoadingOverlay();
 
-        const result = await api.readCsvFile(filePath);
-        if (!result.success) {
-            showToast(`Error reading file: ${result.error}`, 'error');
+        if (jobs.length === 0) {
+            if (failures.every(f => f.cancelled)) {
+                showToast('Import cancelled', 'info');
+            } else if (failures.length === 1) {
+                showToast(`Import failed: ${failures[0].error}`, 'error');
+            } else {
+                showImportResults(failures);
+            }
             return;
         }
 
-        const tests = parseCSV(result.data);
-        if (tests.length === 0) {
-            showToast('No valid data found in CSV', 'error');
+        const confirmed = await showImportPreview(jobs);
+        if (!confirmed) {
+            showToast('Import cancelled', 'info');
             return;
         }
 
-        saveToHistory();
+        const results = await commitImports(jobs);
+        showImportResults([...results, ...failures.filter(f => !f.cancelled)]);
+    } catch (error) {
+        hideLoadingOverlay();
+        showToast(`Import failed: ${error.message}`, 'error');
+        console.error('Import error:', error);
+    } finally {
+        isImporting = false;
+    }
+}
+
+// Adds the accepted rows of each previewed job as its own import, all in one undo step.
+// Returns one result per job for showImportResults.
+async function commitImports(jobs, source = 'manual') {
+    await backupBeforeChange('import', jobs.length === 1
+        ? `Before importing ${jobs[0].filename}`
+        : `Before importing ${jobs.length} files`);
+    saveToHistory(jobs.length === 1 ? `Imported ${jobs[0].filename}` : `Imported ${jobs.length} files`);
+
+    const results = [];
+    const warnings = [];
+
+    for (let i = 0; i < jobs.length; i++) {
+        const job = jobs[i];
+        if (jobs.length > 1) {
+            showLoadingOverlay(`Importing file ${i + 1} of ${jobs.length}: ${job.filename}`);
+            // Let the overlay paint between files
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const accepted = job.rows.filter(isRowAccepted);
+        const rejected = job.rows.filter(r => !isRowAccepted(r));
+        if (accepted.length === 0) {
+            results.push({ filename: job.filename, rejected: rejected.length, merge: null });
+            continue;
+        }
 
         // Generate import ID and tag tests
-        const importId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-        const filename = filePath.split(/[/\\]/).pop(); // Get filename from path
-
-        tests.forEach(t => {
-            t.importId = importId;
-        });
+        const importId = generateId();
+        const tests = accepted.map(r => createTestRecord({ ...r.test, importId }));
 
-        const warnings = processNewTests(tests);
+        const processed = processNewTests(tests, settings.duplicatePolicy);
+        warnings.push(...processed.warnings);
 
         // Track this import
         importHistory.push({
             id: importId,
-            filename: filename,
+            filename: job.filename,
             date: new Date().toISOString(),
-            testCount: tests.length
+            testCount: processed.merge.added,
+            rejectedCount: rejected.length,
+            rejectedCsv: rejected.length > 0 ? buildRejectedCsv(job.table.headers, rejected) : null,
+            sheet: job.sheet || null,
+            hash: job.hash || null,
+            source,
+            // Kept so the import can be refreshed from the same file later
+            filePath: job.filePath || null,
+            mapping: job.mapping,
+            dateOrder: job.dateOrder || null
         });
+        if (job.hash && !importedHashes.includes(job.hash)) {
+            importedHashes.push(job.hash);
+        }
 
-        recalculateAll();
-        await saveData();
-        renderTable();
-        checkSoundTriggers();
+        results.push({ filename: job.filename, rejected: rejected.length, merge: processed.merge });
+    }
+    syncImportCounts();
 
-        let msg = `Successfully imported ${tests.length} test${tests.length > 1 ? 's' : ''}!`;
-        showToast(msg, 'success');
+    recalculateAll();
+    await saveData();
+    renderTable();
+    if (currentPage === 'events') renderEventsPage();
+    checkSoundTriggers();
+    hideLoadingOverlay();
 
-        if (warnings.length > 0) {
-            console.log('Import warnings:', warnings);
-            setTimeout(() => {
-                showToast(warnings.join('\n'), 'info');
-            }, 1000);
+    if (warnings.length > 0) {
+        console.log('Import warnings:', warnings);
+        setTimeout(() => {
+            showToast(warnings.join('\n'), 'info');
+        }, 1000);
+    }
+
+    return results;
+}
+
+// ============================
+// WATCH FOLDERS
+// ============================
+
+// Called by the main process for each new or changed CSV in a watched folder
+function queueWatchedFile(file) {
+    watchImportQueue = watchImportQueue
+        .then(() => autoImportFile(file))
+        .catch(error => console.error('Watch folder import error:', error));
+}
+
+async function autoImportFile(file) {
+    const { filePath, hash } = file;
+    if (importedHashes.includes(hash)) return;
+
+    // Don't interleave with an import the user is reviewing
+    while (isImporting) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    // Claimed before anything is awaited, so a manual import can't start part way through
+    isImporting = true;
+    try {
+        if (importedHashes.includes(hash)) return;
+
+        const filename = filePath.split(/[/\\]/).pop();
+        let table;
+        try {
+            // Workbooks use their first sheet with data since there is no one to ask
+            table = await parseImportFile(filename, file, false);
+        } catch (error) {
+            showToast(`Could not read watched file "${filename}": ${error.message}`, 'error');
+            return;
         }
-    } catch (error) {
-        showToast(`Import failed: ${error.message}`, 'error');
-        console.error('Import error:', error);
+
+        // Auto-imports can't prompt, so only known column layouts are accepted
+        const signature = getHeaderSignature(table.headers);
+        const saved = settings.columnMappings && settings.columnMappings[signature];
+        const mapping = getStandardMapping(table.headers) || (saved && isMappingUsable(saved, table.headers) ? saved : null);
+        if (!mapping) {
+            showToast(`Watched file "${filename}" has unrecognised columns. Import it manually once to set up a column mapping.`, 'error');
+            return;
+        }
+
+        const job = await createImportJob(filename, table, mapping);
+        job.hash = hash;
+        job.filePath = filePath;
+        job.sheet = table.sheet || null;
+        if (job.rows.length === 0) return;
+
+        // Don't guess at dates like 03/04/2026 with no one to confirm them
+        if (job.dateDetection.ambiguous > 0 && !job.dateOrder) {
+            showToast(`Watched file "${filename}" has ambiguous dates like "${job.dateDetection.example}". Set a date format in Settings or import it manually.`, 'error');
+            return;
+        }
+
+        const [result] = await commitImports([job], 'watch');
+        if (result.merge) {
+            const rejected = result.rejected > 0 ? `, ${result.rejected} rejected` : '';
+            showToast(`Auto-imported "${filename}": ${result.merge.added} test${result.merge.added !== 1 ? 's' : ''} added${rejected}`, 'success');
+        } else {
+            showToast(`Watched file "${filename}" had no valid rows (${result.rejected} rejected)`, 'error');
+        }
+    } finally {
+        isImporting = false;
     }
 }
 
-// Import History Management
-function showImportHistory() {
-    const modal = document.getElementById('importHistoryModal');
-    renderImportHistory();
-    modal.classList.add('visible');
+async function applyWatchFolders() {
+    const result = await api.setWatchFolders(settings.watchFolders || []);
+    if (result && result.errors && result.errors.length > 0) {
+        showToast(`Could not watch: ${result.errors.join(', ')}`, 'error');
+    }
 }
 
-function closeImportHistoryModal() {
-    document.getElementById('importHistoryModal').classList.remove('visible');
+async function addWatchFolder() {
+    const folder = await api.selectFolder();
+    if (!folder) return;
+
+    if (!settings.watchFolders) settings.watchFolders = [];
+    if (settings.watchFolders.includes(folder)) {
+        showToast('That folder is already being watched', 'info');
+        return;
+    }
+
+    saveToHistory(`Watched folder ${folder}`);
+    settings.watchFolders.push(folder);
+    await saveSettings();
+    renderWatchFolders();
+    await applyWatchFolders();
+    showToast('Watching folder for new CSV files', 'success');
 }
 
-function renderImportHistory() {
-    const container = document.getElementById('importHistoryList');
+async function removeWatchFolder(folder) {
+    saveToHistory(`Stopped watching ${folder}`);
+    settings.watchFolders = (settings.watchFolders || []).filter(f => f !== folder);
+    await saveSettings();
+    renderWatchFolders();
+    await applyWatchFolders();
+}
+
+function renderWatchFolders() {
+    const container = document.getElementById('watchFolderList');
+    if (!container) return;
     container.innerHTML = '';
 
-    if (importHistory.length === 0) {
+    const folders = settings.watchFolders || [];
+    if (folders.length === 0) {
         const empty = document.createElement('div');
-        empty.className = 'import-history-empty';
-        empty.textContent = 'No imports yet. Import a CSV to get started!';
+        empty.className = 'watch-folder-empty';
+        empty.textContent = 'No folders watched';
         container.appendChild(empty);
         return;
     }
 
-    // Sort by date descending (newest first)
-    const sorted = [...importHistory].sort((a, b) => new Date(b.date) - new Date(a.date));
+    folders.forEach(folder => {
+        const row = document.createElement('div');
+        row.className = 'group-email-row watch-folder-row';
 
-    sorted.forEach(imp => {
+        const pathSpan = document.createElement('span');
+        pathSpan.className = 'watch-folder-path';
+        pathSpan.textContent = folder;
+        pathSpan.title = folder;
+        row.appendChild(pathSpan);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'group-email-remove';
+        removeBtn.textContent = '\u2715';
+        removeBtn.title = 'Stop watching';
+        removeBtn.onclick = () => removeWatchFolder(folder);
+        row.appendChild(removeBtn);
+
+        container.appendChild(row);
+    });
+}
+
+// Summary of what each imported file added, skipped or replaced
+function showImportResults(results) {
+    const container = document.getElementById('importResultsList');
+    container.innerHTML = '';
+
+    const added = results.reduce((sum, r) => sum + (r.merge ? r.merge.added : 0), 0);
+    document.getElementById('importResultsSummary').textContent = results.length > 1
+        ? `${added} test${added !== 1 ? 's' : ''} added from ${results.filter(r => r.merge).length} of ${results.length} files`
+        : '';
+
+    results.forEach(result => {
+        const { merge } = result;
         const row = document.createElement('div');
         row.className = 'import-history-row';
 
@@ -539,665 +1143,3346 @@ function renderImportHistory() {
 
         const filename = document.createElement('div');
         filename.className = 'import-history-filename';
-        filename.textContent = imp.filename;
+        filename.textContent = result.filename;
         info.appendChild(filename);
 
         const meta = document.createElement('div');
         meta.className = 'import-history-meta';
-        const date = new Date(imp.date);
-        meta.textContent = `${date.toLocaleDateString()} at ${date.toLocaleTimeString()} • ${imp.testCount} tests`;
+
+        if (result.error) {
+            meta.classList.add('failed');
+            meta.textContent = `Failed: ${result.error}`;
+        } else if (!merge) {
+            meta.textContent = `No rows imported • ${result.rejected} rejected`;
+        } else {
+            const parts = [`${merge.added} test${merge.added !== 1 ? 's' : ''} added`];
+            const matched = merge.duplicates + merge.conflicts;
+            if (matched > 0) {
+                const verb = merge.policy === 'overwrite' ? 'overwritten' : merge.policy === 'keep' ? 'kept as extra copies' : 'skipped';
+                if (merge.duplicates > 0) parts.push(`${merge.duplicates} duplicate${merge.duplicates !== 1 ? 's' : ''} ${verb}`);
+                if (merge.conflicts > 0) parts.push(`${merge.conflicts} conflict${merge.conflicts !== 1 ? 's' : ''} ${verb}`);
+            }
+            if (result.rejected > 0) parts.push(`${result.rejected} rejected`);
+            meta.textContent = parts.join(' • ');
+        }
         info.appendChild(meta);
 
         row.appendChild(info);
-
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'import-remove-btn';
-        removeBtn.textContent = 'Remove';
-        removeBtn.onclick = () => removeImport(imp.id);
-        row.appendChild(removeBtn);
-
         container.appendChild(row);
     });
-}
 
-function removeImport(importId) {
-    const imp = importHistory.find(i => i.id === importId);
-    if (!imp) return;
+    document.getElementById('importResultsModal').classList.add('visible');
+}
 
-    showConfirmModal(
-        'Remove Import',
-        `Are you sure you want to remove "${imp.filename}"? This will delete ${imp.testCount} tests from this import.`,
-        'Remove',
-        async () => {
-            saveToHistory();
+function closeImportResultsModal() {
+    document.getElementById('importResultsModal').classList.remove('visible');
+}
 
-            // Remove tests with this import ID
-            allTests = allTests.filter(t => t.importId !== importId);
+// ============================
+// DUPLICATE DETECTION
+// ============================
 
-            // Remove from import history
-            importHistory = importHistory.filter(i => i.id !== importId);
+// A test is identified by account, day and event; the queue number tells duplicates from conflicts
+function getTestKey(test) {
+    return `${test.email.toLowerCase()}|${test.testingDate}|${test.testingTime || ''}|${test.eventName.toLowerCase()}`;
+}
 
-            recalculateAll();
-            await saveData();
-            renderTable();
-            renderImportHistory();
-            showToast('Import removed successfully', 'success');
-        }
-    );
+function buildTestIndex(tests) {
+    const index = new Map();
+    tests.forEach(t => {
+        const key = getTestKey(t);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(t);
+    });
+    return index;
 }
 
-// Validation helpers
-function isValidEmail(email) {
-    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return regex.test(email);
+// Returns 'duplicate', 'conflict' or null for a test against the indexed tests
+function classifyMatch(index, test) {
+    const matches = index.get(getTestKey(test));
+    if (!matches || matches.length === 0) return null;
+    return matches.some(m => m.queueNumber === test.queueNumber) ? 'duplicate' : 'conflict';
 }
 
-// Normalize any common date format to YYYY-MM-DD
-function normalizeDate(dateString) {
-    if (!dateString || typeof dateString !== 'string') return null;
-    const s = dateString.trim();
+// Adds new tests to allTests, resolving duplicates and conflicts with the given policy
+function mergeTests(newTests, policy) {
+    const index = buildTestIndex(allTests);
+    const replaced = new Set();
+    const merge = { policy, added: 0, duplicates: 0, conflicts: 0 };
+    const toAdd = [];
 
-    let year, month, day;
+    newTests.forEach(test => {
+        const key = getTestKey(test);
+        const match = classifyMatch(index, test);
 
-    // YYYY-MM-DD or YYYY/MM/DD
-    const isoMatch = s.match(/^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/);
-    if (isoMatch) {
-        year = parseInt(isoMatch[1]);
-        month = parseInt(isoMatch[2]);
-        day = parseInt(isoMatch[3]);
-    } else {
-        // MM/DD/YYYY, DD-MM-YYYY, DD.MM.YYYY, M/D/YY, etc.
-        const otherMatch = s.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/);
-        if (otherMatch) {
-            let a = parseInt(otherMatch[1]);
-            let b = parseInt(otherMatch[2]);
-            let c = parseInt(otherMatch[3]);
-
-            // Handle 2-digit year
-            if (c < 100) c += c < 50 ? 2000 : 1900;
-
-            // Determine if a/b is month/day or day/month
-            if (a > 12 && b <= 12) {
-                // a must be day (DD/MM/YYYY format)
-                day = a; month = b; year = c;
-            } else if (b > 12 && a <= 12) {
-                // b must be day (MM/DD/YYYY format)
-                month = a; day = b; year = c;
-            } else {
-                // Both could be month or day - default to MM/DD/YYYY (US format)
-                month = a; day = b; year = c;
-            }
-        } else {
-            return null;
+        if (match === 'duplicate') merge.duplicates++;
+        if (match === 'conflict') merge.conflicts++;
+
+        if (match && policy === 'skip') return;
+        if (match && policy === 'overwrite') {
+            index.get(key).forEach(t => replaced.add(t.id));
+            index.set(key, []);
         }
-    }
 
-    // Validate ranges
-    if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1900 || year > 2100) return null;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(test);
+        toAdd.push(test);
+    });
 
-    // Validate the actual date
-    const date = new Date(year, month - 1, day);
-    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    if (replaced.size > 0) {
+        allTests = allTests.filter(t => !replaced.has(t.id));
+    }
+    const kept = toAdd.filter(t => !replaced.has(t.id));
+    allTests.push(...kept);
+    merge.added = kept.length;
+    return merge;
+}
 
-    // Return normalized YYYY-MM-DD
-    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+// Keeps import history counts in line with the tests that remain from each import
+function syncImportCounts() {
+    const counts = {};
+    allTests.forEach(t => {
+        if (t.importId) counts[t.importId] = (counts[t.importId] || 0) + 1;
+    });
+    importHistory.forEach(imp => {
+        imp.testCount = counts[imp.id] || 0;
+    });
 }
 
-function isValidDate(dateString) {
-    return normalizeDate(dateString) !== null;
+// Flags valid preview rows that match existing tests or earlier rows in the batch
+function markDuplicateRows(jobs) {
+    const index = buildTestIndex(allTests);
+    jobs.forEach(job => job.rows.forEach(entry => {
+        entry.match = null;
+        if (entry.errors.length > 0) return;
+
+        const matches = index.get(getTestKey(entry.test));
+        entry.match = classifyMatch(index, entry.test);
+        entry.matchQueue = matches && matches.length > 0 ? matches[0].queueNumber : null;
+
+        if (!isRowAccepted(entry)) return;
+        const key = getTestKey(entry.test);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(entry.test);
+    }));
 }
 
-function validateTestData(test, rowIndex) {
-    const errors = [];
+// ============================
+// IMPORT PREVIEW
+// ============================
 
-    if (!isValidEmail(test.email)) {
-        errors.push(`Row ${rowIndex}: Invalid email format "${test.email}"`);
-    }
+// Turns parsed rows into reviewable entries, one per data row. Large tables are
+// validated in chunks behind a progress bar so the window stays responsive.
+// fallbackDateOrder is used for ambiguous dates when the file itself doesn't settle them
+async function createImportJob(filename, table, mapping, fallbackDateOrder = null) {
+    const total = table.rows.length;
+    const showProgress = total > VALIDATION_CHUNK_SIZE;
+    if (showProgress) showLoadingOverlay(`Validating ${filename}...`, { progress: 0 });
+
+    // Row numbers match the source lines, counting the header line if there is one
+    const firstRow = table.headerless ? 1 : 2;
+
+    // Settle the file's date order up front; the preference only fills in when the file can't
+    const dateColumn = mapping.testingDate;
+    const dateDetection = detectDateOrder(dateColumn ? table.rows.map(r => r[dateColumn]) : []);
+    const dateOrder = dateDetection.order || fallbackDateOrder || (settings.dateFormat !== 'auto' ? settings.dateFormat : null);
+
+    const rows = [];
+    for (let i = 0; i < total; i++) {
+        const source = table.rows[i];
+        const values = {};
+        IMPORT_FIELDS.forEach(field => {
+            const column = mapping[field.key];
+            const value = column ? source[column] : '';
+            values[field.key] = value === undefined || value === null ? '' : String(value).trim();
+        });
 
-    if (!isValidDate(test.testingDate)) {
-        errors.push(`Row ${rowIndex}: Invalid date "${test.testingDate}" (use YYYY-MM-DD, MM/DD/YYYY, or DD-MM-YYYY)`);
-    }
+        const entry = { rowIndex: i + firstRow, source, values, test: null, errors: [], include: true };
+        validateImportRow(entry, dateOrder);
+        entry.include = entry.errors.length === 0;
+        rows.push(entry);
 
-    if (test.eventName.length === 0) {
-        errors.push(`Row ${rowIndex}: Event name cannot be empty`);
-    }
-    if (test.eventName.length > 200) {
-        errors.push(`Row ${rowIndex}: Event name too long (max 200 characters)`);
+        if (showProgress && (i + 1) % VALIDATION_CHUNK_SIZE === 0) {
+            updateLoadingProgress((i + 1) / total * 100);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
     }
 
-    if (isNaN(test.queueNumber) || test.queueNumber < 0) {
-        errors.push(`Row ${rowIndex}: Invalid queue number "${test.queueNumber}"`);
-    }
-    if (test.queueNumber > 10000000) {
-        errors.push(`Row ${rowIndex}: Queue number too large (max 10,000,000)`);
-    }
+    if (showProgress) hideLoadingOverlay();
+    return { filename, table, mapping, rows, dateDetection, dateOrder };
+}
 
-    if (test.queueAnchor !== null) {
-        if (isNaN(test.queueAnchor) || test.queueAnchor < 0) {
-            errors.push(`Row ${rowIndex}: Invalid queue anchor "${test.queueAnchor}"`);
-        }
-        if (test.queueAnchor > 10000000) {
-            errors.push(`Row ${rowIndex}: Queue anchor too large (max 10,000,000)`);
-        }
-        if (test.queueAnchor < test.queueNumber) {
-            errors.push(`Row ${rowIndex}: Queue anchor (${test.queueAnchor}) cannot be less than queue number (${test.queueNumber})`);
+// Works out a file's date order from its unambiguous dates: a first part over 12 means
+// day first, a second part over 12 means month first. order is null if nothing decides it.
+function detectDateOrder(values) {
+    const detection = { order: null, monthFirst: 0, dayFirst: 0, ambiguous: 0, example: null };
+    values.forEach(value => {
+        const date = splitDateTime(value).date;
+        const parts = matchNumericDate(date);
+        if (!parts) return;
+        const [a, b] = parts;
+        if (a > 12 && b <= 12) {
+            detection.dayFirst++;
+        } else if (b > 12 && a <= 12) {
+            detection.monthFirst++;
+        } else if (isAmbiguousDate(date)) {
+            detection.ambiguous++;
+            if (!detection.example) detection.example = date;
         }
+    });
+
+    if (detection.monthFirst > detection.dayFirst) detection.order = 'MDY';
+    if (detection.dayFirst > detection.monthFirst) detection.order = 'DMY';
+    return detection;
+}
+
+function validateImportRow(entry, dateOrder = null) {
+    const v = entry.values;
+    const missing = IMPORT_FIELDS.filter(f => f.required && !v[f.key]);
+    if (missing.length > 0) {
+        entry.test = null;
+        entry.errors = missing.map(f => `${f.label} is missing`);
+        return;
     }
 
-    return errors;
+    // The date column may carry the time too, as in "2026-03-15 19:00" or an ISO timestamp
+    const dateTime = splitDateTime(v.testingDate);
+    const time = v.testingTime || dateTime.time;
+
+    entry.test = {
+        email: v.email,
+        testingDate: normalizeDate(dateTime.date, dateOrder) || dateTime.date,
+        testingTime: time ? normalizeTime(time) || time : null,
+        eventName: v.eventName,
+        queueNumber: parseInt(v.queueNumber),
+        queueAnchor: v.queueAnchor ? parseInt(v.queueAnchor) : null
+    };
+    entry.errors = validateTestData(entry.test);
 }
 
-function parseCSV(csvText) {
-    const parsed = Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: true,
-        trimHeaders: true,
-        transformHeader: (h) => h.trim()
+function isRowAccepted(entry) {
+    return entry.include && entry.errors.length === 0;
+}
+
+// Original columns of each rejected row plus the reason it was rejected
+function buildRejectedCsv(headers, rejected) {
+    const data = rejected.map(r => {
+        const row = {};
+        headers.forEach(h => { row[h] = r.source[h]; });
+        row.Row = r.rowIndex;
+        row.Error = r.errors.length > 0 ? r.errors.join('; ') : 'Skipped during review';
+        return row;
     });
+    return Papa.unparse({ fields: ['Row', ...headers, 'Error'], data });
+}
 
-    if (parsed.errors.length > 0) {
-        console.warn('CSV parsing warnings:', parsed.errors);
+// The error CSV is meant to be fixed in a spreadsheet, so it is never sealed; in an
+// encrypted workspace that has to be agreed to first, since it holds account emails
+function downloadRejectedCsv(filename, csv) {
+    if (!encryptionEnabled) {
+        saveRejectedCsv(filename, csv);
+        return;
     }
+    showConfirmModal(
+        'Save Unencrypted File',
+        'This workspace is encrypted, but the error CSV will not be: anyone who can open the file can read the emails and queue data in it.',
+        'Save Anyway',
+        () => saveRejectedCsv(filename, csv)
+    );
+}
+
+async function saveRejectedCsv(filename, csv) {
+    const baseName = filename.replace(/\.[^.]+$/, '');
+    const result = await api.saveTextFile(`${baseName}-errors.csv`, csv);
+    if (result.success) {
+        showToast('Error CSV saved', 'success');
+    } else if (result.error) {
+        showToast(`Could not save error CSV: ${result.error}`, 'error');
+    }
+}
 
-    const headers = parsed.meta.fields || [];
-    const required = ['Email', 'Testing Date', 'Event Name', 'Queue Number'];
+// Resolves true when the user commits the import, false when they cancel
+function showImportPreview(jobs) {
+    return new Promise(resolve => {
+        importPreviewState = { jobs, jobIndex: 0, resolve, filter: 'all', visibleCount: PREVIEW_ROW_LIMIT };
+        document.getElementById('importPreviewTitle').textContent = jobs.length > 1
+            ? `Review Import — ${jobs.length} files`
+            : `Review Import — ${jobs[0].filename}`;
+        document.querySelectorAll('.preview-filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === 'all');
+        });
 
-    for (const req of required) {
-        if (!headers.includes(req)) {
-            throw new Error(`Missing required column: ${req}`);
-        }
+        // File switcher for batch imports
+        const fileSelect = document.getElementById('importPreviewFileSelect');
+        fileSelect.innerHTML = '';
+        jobs.forEach((job, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${job.filename} (${job.rows.length} rows)`;
+            fileSelect.appendChild(option);
+        });
+        fileSelect.value = '0';
+        fileSelect.style.display = jobs.length > 1 ? 'block' : 'none';
+
+        renderImportPreview();
+        document.getElementById('importPreviewModal').classList.add('visible');
+    });
+}
+
+function finishImportPreview(confirmed) {
+    document.getElementById('importPreviewModal').classList.remove('visible');
+    if (importPreviewState) {
+        const { resolve } = importPreviewState;
+        importPreviewState = null;
+        resolve(confirmed);
     }
+}
 
-    const tests = [];
-    const validationErrors = [];
-    let rowIndex = 2;
+function closeImportPreviewModal() {
+    finishImportPreview(false);
+}
 
-    for (const row of parsed.data) {
-        if (!row.Email || !row['Testing Date'] || !row['Event Name'] || !row['Queue Number']) {
-            rowIndex++;
-            continue;
-        }
+function confirmImportPreview() {
+    if (!importPreviewState) return;
+    if (!importPreviewState.jobs.some(job => job.rows.some(isRowAccepted))) {
+        showToast('No rows selected for import', 'error');
+        return;
+    }
+    finishImportPreview(true);
+}
 
-        const rawDate = row['Testing Date'].trim();
-        const normalizedDate = normalizeDate(rawDate) || rawDate;
+function setImportPreviewFilter(filter) {
+    if (!importPreviewState) return;
+    importPreviewState.filter = filter;
+    importPreviewState.visibleCount = PREVIEW_ROW_LIMIT;
+    document.querySelectorAll('.preview-filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.filter === filter);
+    });
+    renderImportPreview();
+}
 
-        const test = {
-            email: row.Email.trim(),
-            testingDate: normalizedDate,
-            eventName: row['Event Name'].trim(),
-            queueNumber: parseInt(row['Queue Number']),
-            queueAnchor: row['Queue Anchor'] ? parseInt(row['Queue Anchor']) : null
-        };
+function setImportPreviewFile(index) {
+    if (!importPreviewState) return;
+    importPreviewState.jobIndex = index;
+    importPreviewState.visibleCount = PREVIEW_ROW_LIMIT;
+    renderImportPreview();
+}
 
-        const errors = validateTestData(test, rowIndex);
-        if (errors.length > 0) {
-            validationErrors.push(...errors);
-        } else {
-            tests.push(test);
-        }
+function renderImportPreview() {
+    const { jobs, jobIndex, filter, visibleCount } = importPreviewState;
+    const job = jobs[jobIndex];
+
+    markDuplicateRows(jobs);
+
+    const validCount = job.rows.filter(r => r.errors.length === 0).length;
+    const acceptedCount = job.rows.filter(isRowAccepted).length;
+    const rejectedCount = job.rows.length - acceptedCount;
+    const allRows = jobs.flatMap(j => j.rows);
+    const totalAccepted = allRows.filter(isRowAccepted).length;
+    const duplicateCount = allRows.filter(r => isRowAccepted(r) && r.match === 'duplicate').length;
+    const conflictCount = allRows.filter(r => isRowAccepted(r) && r.match === 'conflict').length;
+
+    let summary = `${job.rows.length} row${job.rows.length !== 1 ? 's' : ''} • ${validCount} valid • ${job.rows.length - validCount} invalid • ${acceptedCount} selected`;
+    if (duplicateCount > 0) summary += ` • ${duplicateCount} duplicate${duplicateCount !== 1 ? 's' : ''}`;
+    if (conflictCount > 0) summary += ` • ${conflictCount} conflict${conflictCount !== 1 ? 's' : ''}`;
+    document.getElementById('importPreviewSummary').textContent = summary;
+
+    renderDateOrderWarning(job);
+
+    const policyWrapper = document.getElementById('duplicatePolicyWrapper');
+    policyWrapper.style.display = duplicateCount + conflictCount > 0 ? 'flex' : 'none';
+    document.getElementById('duplicatePolicySelect').value = settings.duplicatePolicy || 'skip';
+
+    const importBtn = document.getElementById('importPreviewConfirmBtn');
+    importBtn.textContent = `Import ${totalAccepted} Row${totalAccepted !== 1 ? 's' : ''}` +
+        (jobs.length > 1 ? ` from ${jobs.length} Files` : '');
+    importBtn.disabled = totalAccepted === 0;
+    document.getElementById('importPreviewErrorsBtn').disabled = rejectedCount === 0;
+
+    const rows = job.rows.filter(r => {
+        if (filter === 'valid') return r.errors.length === 0;
+        if (filter === 'invalid') return r.errors.length > 0;
+        if (filter === 'matched') return r.match !== null && r.errors.length === 0;
+        return true;
+    });
+
+    const tbody = document.getElementById('importPreviewBody');
+    tbody.innerHTML = '';
+
+    if (rows.length === 0) {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = IMPORT_FIELDS.length + 4;
+        cell.className = 'preview-empty';
+        cell.textContent = filter === 'invalid' ? 'No invalid rows.' : 'No rows to show.';
+        return;
+    }
+
+    rows.slice(0, visibleCount).forEach(entry => {
+        tbody.appendChild(createPreviewRow(entry, job));
+    });
+
+    if (rows.length > visibleCount) {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = IMPORT_FIELDS.length + 4;
+        cell.className = 'preview-empty';
 
-        rowIndex++;
+        const remaining = rows.length - visibleCount;
+        const btn = document.createElement('button');
+        btn.className = 'show-more-btn';
+        btn.textContent = `Show ${Math.min(PREVIEW_ROW_LIMIT, remaining)} More (${remaining} remaining)`;
+        btn.onclick = () => {
+            importPreviewState.visibleCount += PREVIEW_ROW_LIMIT;
+            renderImportPreview();
+        };
+        cell.appendChild(btn);
     }
+}
 
-    if (validationErrors.length > 0) {
-        const errorMsg = validationErrors.slice(0, 10).join('\n');
-        const remaining = validationErrors.length - 10;
-        throw new Error(
-            `Found ${validationErrors.length} validation error(s):\n\n${errorMsg}` +
-            (remaining > 0 ? `\n\n...and ${remaining} more errors` : '')
-        );
+// Warns when a file has dates like 03/04/2026, saying how they are being read
+function renderDateOrderWarning(job) {
+    const wrapper = document.getElementById('dateOrderWrapper');
+    const { dateDetection, dateOrder } = job;
+    if (dateDetection.ambiguous === 0) {
+        wrapper.style.display = 'none';
+        return;
     }
 
-    if (tests.length === 0) {
-        throw new Error('No valid data rows found in CSV');
+    const count = `${dateDetection.ambiguous} date${dateDetection.ambiguous !== 1 ? 's' : ''} like "${dateDetection.example}"`;
+    let message;
+    if (!dateOrder) {
+        message = `${count} could be month or day first, and nothing else in this file says which. Choose the order to import them:`;
+    } else if (job.dateOrderChosen) {
+        message = `${count} are read as:`;
+    } else if (dateDetection.order) {
+        message = `${count} could be read either way. Going by the file's other dates, they're read as:`;
+    } else {
+        message = `${count} could be read either way. Using your preferred date format from Settings:`;
+    }
+    if (dateDetection.monthFirst > 0 && dateDetection.dayFirst > 0) {
+        message = `This file mixes month-first and day-first dates. ${message}`;
     }
 
-    return tests;
+    document.getElementById('dateOrderMessage').textContent = message;
+    document.getElementById('dateOrderSelect').value = dateOrder || '';
+    wrapper.style.display = 'flex';
 }
 
-function processNewTests(newTests) {
-    const warnings = [];
-    const events = {};
+function setImportPreviewDateOrder(order) {
+    if (!importPreviewState) return;
+    const job = importPreviewState.jobs[importPreviewState.jobIndex];
+    job.dateOrder = order || null;
+    job.dateOrderChosen = true;
+
+    // Re-read every row, keeping manual skips on rows whose validity didn't change
+    job.rows.forEach(entry => {
+        const wasValid = entry.errors.length === 0;
+        validateImportRow(entry, job.dateOrder);
+        const valid = entry.errors.length === 0;
+        if (valid !== wasValid) entry.include = valid;
+    });
+    renderImportPreview();
+}
 
-    newTests.forEach(test => {
-        if (test.queueAnchor === null) {
-            if (!events[test.eventName]) events[test.eventName] = [];
-            events[test.eventName].push(test.queueNumber);
+function createPreviewRow(entry, job) {
+    const valid = entry.errors.length === 0;
+    const row = document.createElement('tr');
+    row.className = 'preview-row ' + (!valid ? 'invalid' : entry.include ? 'valid' : 'skipped');
+
+    const includeCell = row.insertCell();
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'compare-checkbox';
+    checkbox.checked = isRowAccepted(entry);
+    checkbox.disabled = !valid;
+    checkbox.title = valid ? 'Include this row' : 'Fix this row to include it';
+    checkbox.onchange = () => {
+        entry.include = checkbox.checked;
+        renderImportPreview();
+    };
+    includeCell.appendChild(checkbox);
+
+    const numCell = row.insertCell();
+    numCell.className = 'preview-row-num';
+    numCell.textContent = entry.rowIndex;
+
+    const statusCell = row.insertCell();
+    const status = document.createElement('span');
+    status.className = 'preview-status ' + (!valid ? 'invalid' : entry.include ? 'valid' : 'skipped');
+    status.textContent = !valid ? 'Invalid' : entry.include ? 'Valid' : 'Skipped';
+    statusCell.appendChild(status);
+
+    if (valid && entry.include && entry.match) {
+        const match = document.createElement('span');
+        match.className = 'preview-status ' + entry.match;
+        match.textContent = entry.match === 'duplicate' ? 'Duplicate' : 'Conflict';
+        statusCell.appendChild(match);
+    }
+
+    IMPORT_FIELDS.forEach(field => {
+        const cell = row.insertCell();
+        if (valid) {
+            cell.textContent = entry.values[field.key];
+            return;
         }
+
+        // Invalid rows are editable in place
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'preview-input';
+        input.value = entry.values[field.key];
+        input.placeholder = field.label;
+        input.onchange = () => {
+            entry.values[field.key] = input.value.trim();
+            validateImportRow(entry, job.dateOrder);
+            entry.include = entry.errors.length === 0;
+            renderImportPreview();
+        };
+        cell.appendChild(input);
     });
 
-    for (const [event, nums] of Object.entries(events)) {
-        const anchor = Math.ceil(Math.max(...nums) / 1000) * 1000;
-        warnings.push(`No anchor for "${event}", using ${anchor.toLocaleString()}`);
-        newTests.forEach(t => {
-            if (t.eventName === event && t.queueAnchor === null) t.queueAnchor = anchor;
-        });
+    const reasonCell = row.insertCell();
+    reasonCell.className = 'preview-reason';
+    if (!valid) {
+        reasonCell.textContent = entry.errors.join('; ');
+    } else if (entry.include && entry.match === 'duplicate') {
+        reasonCell.classList.add('match');
+        reasonCell.textContent = 'Already imported';
+    } else if (entry.include && entry.match === 'conflict') {
+        reasonCell.classList.add('match');
+        reasonCell.textContent = `Same email, date and event already has queue # ${entry.matchQueue}`;
     }
 
-    allTests.push(...newTests);
-    return warnings;
+    return row;
 }
 
-function recalculateAll() {
-    const groups = {};
-    allTests.forEach(t => {
-        if (!groups[t.email]) groups[t.email] = [];
-        groups[t.email].push(t);
+function downloadPreviewErrors() {
+    if (!importPreviewState) return;
+    const job = importPreviewState.jobs[importPreviewState.jobIndex];
+    const rejected = job.rows.filter(r => !isRowAccepted(r));
+    if (rejected.length === 0) return;
+    downloadRejectedCsv(job.filename, buildRejectedCsv(job.table.headers, rejected));
+}
+
+// ============================
+// DRAG-AND-DROP IMPORT
+// ============================
+function setupDropImport() {
+    const overlay = document.getElementById('dropOverlay');
+    let dragDepth = 0;
+
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+    document.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        overlay.classList.add('visible');
     });
 
-    for (const email in groups) {
-        const tests = groups[email].sort((a, b) => new Date(a.testingDate) - new Date(b.testingDate));
-        tests.forEach((t, i) => {
-            t.testingNum = i + 1;
-            // Guard against division by zero
-            t.queuePercent = (t.queueAnchor && t.queueAnchor > 0)
-                ? (t.queueNumber / t.queueAnchor) * 100
-                : 0;
-            t.queueChangePercent = i > 0 ? t.queuePercent - tests[i-1].queuePercent : 0;
-        });
-    }
-}
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        // Required to allow dropping, and stops Electron navigating to the file
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
 
-// Sorting
-function updateSortIndicators() {
-    document.querySelectorAll('.sortable-header').forEach(header => {
-        const indicator = header.querySelector('.sort-indicator');
-        if (header.dataset.sort === currentSort.field) {
-            header.classList.add('active');
-            indicator.textContent = currentSort.direction === 'asc' ? '\u25B2' : '\u25BC';
-        } else {
-            header.classList.remove('active');
-            indicator.textContent = '';
+    document.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) overlay.classList.remove('visible');
+    });
+
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        overlay.classList.remove('visible');
+
+        const files = Array.from(e.dataTransfer.files);
+        const filePaths = files
+            .filter(f => f.path && IMPORT_EXTENSIONS.includes(f.name.split('.').pop().toLowerCase()))
+            .map(f => f.path);
+
+        if (filePaths.length === 0) {
+            showToast(`Drop ${IMPORT_EXTENSIONS.map(ext => '.' + ext).join(', ')} files to import`, 'error');
+            return;
         }
+        if (filePaths.length < files.length) {
+            showToast(`Skipped ${files.length - filePaths.length} unsupported file${files.length - filePaths.length !== 1 ? 's' : ''}`, 'info');
+        }
+
+        if (currentPage !== 'home') navigateTo('home');
+        importFiles(filePaths);
     });
 }
 
-function toggleSort(field) {
-    if (currentSort.field === field) {
-        currentSort.direction = currentSort.direction === 'asc' ? 'desc' : 'asc';
-    } else {
-        currentSort.field = field;
-        currentSort.direction = 'desc';
-    }
-    visibleRowCount = INITIAL_ROW_LIMIT;
-    renderTable();
+// ============================
+// PASTE IMPORT
+// ============================
+function showPasteDataModal() {
+    document.getElementById('pasteDataModal').classList.add('visible');
+    document.getElementById('pasteDataInput').focus();
 }
 
-// Table Rendering
-function renderTable() {
-    const data = getTableData();
-    const tbody = document.getElementById('tableBody');
-    tbody.innerHTML = '';
-
-    // Update compare button visibility
-    const compareBtn = document.getElementById('compareBtn');
-    if (compareBtn) {
-        compareBtn.style.display = compareMode ? 'none' : 'inline-flex';
-    }
+function closePasteDataModal() {
+    document.getElementById('pasteDataModal').classList.remove('visible');
+}
 
-    if (data.length === 0) {
-        let message = 'No data. Import CSV to start!';
-        if (currentFilter === 'improving' || currentFilter === 'declining') {
-            message = 'No results: Accounts need at least 2 tests to show improvement/decline.';
-        } else if (currentFilter.startsWith('group:')) {
-            message = 'No accounts in this group yet.';
-        } else if (allTests.length > 0) {
-            message = 'No accounts match this filter.';
+async function pasteFromClipboard() {
+    try {
+        const text = await navigator.clipboard.readText();
+        if (!text.trim()) {
+            showToast('The clipboard is empty', 'info');
+            return;
         }
+        document.getElementById('pasteDataInput').value = text;
+    } catch (error) {
+        showToast('Could not read the clipboard. Paste into the box with Ctrl+V instead.', 'error');
+    }
+}
 
-        const row = tbody.insertRow();
-        const cell = row.insertCell();
-        cell.colSpan = 7;
-        cell.style.textAlign = 'center';
-        cell.style.padding = '40px';
-        cell.style.color = '#86868b';
-        cell.textContent = message;
-        updateStats([]);
+async function submitPastedData() {
+    const input = document.getElementById('pasteDataInput');
+    if (!input.value.trim()) {
+        showToast('Paste some rows first', 'error');
         return;
     }
 
-    // Sort data based on currentSort
-    if (currentSort.field === 'email') {
-        data.sort((a, b) => {
-            const cmp = a.email.localeCompare(b.email);
-            return currentSort.direction === 'asc' ? cmp : -cmp;
-        });
-    } else {
-        // Default: sort by change %
-        data.sort((a, b) => {
-            const aChange = getOverallChange(a.email) || 0;
-            const bChange = getOverallChange(b.email) || 0;
-            return currentSort.direction === 'asc' ? aChange - bChange : bChange - aChange;
-        });
+    closePasteDataModal();
+    if (currentPage !== 'home') navigateTo('home');
+    // Keep the text around if the import is cancelled so it can be fixed and retried
+    if (await importPastedText(input.value)) input.value = '';
+}
+
+// Runs pasted text through the same mapping, validation and preview steps as a file.
+// Returns true once the rows have been imported.
+async function importPastedText(text) {
+    if (isImporting) {
+        showToast('An import is already in progress', 'error');
+        return false;
     }
+    isImporting = true;
 
-    // Update sort indicator in headers
-    updateSortIndicators();
+    try {
+        const table = parsePastedText(text);
+        if (table.rows.length === 0) throw new Error('No data rows found');
 
-    const visibleData = data.slice(0, visibleRowCount);
-    const hasMore = data.length > visibleRowCount;
+        const mapping = await resolveColumnMapping(table);
+        if (!mapping) {
+            showToast('Import cancelled', 'info');
+            return false;
+        }
 
-    visibleData.forEach(account => {
-        const row = tbody.insertRow();
+        const job = await createImportJob(`Pasted on ${new Date().toLocaleDateString()}`, table, mapping);
+        const confirmed = await showImportPreview([job]);
+        if (!confirmed) {
+            showToast('Import cancelled', 'info');
+            return false;
+        }
 
-        // Email cell
-        const emailCell = row.insertCell();
-        const emailDiv = document.createElement('div');
-        emailDiv.className = 'email-cell';
+        const results = await commitImports([job], 'paste');
+        showImportResults(results);
+        return true;
+    } catch (error) {
+        hideLoadingOverlay();
+        showToast(`Import failed: ${error.message}`, 'error');
+        console.error('Paste import error:', error);
+        return false;
+    } finally {
+        isImporting = false;
+    }
+}
 
-        // Compare checkbox
-        if (compareMode) {
-            const cb = document.createElement('input');
-            cb.type = 'checkbox';
-            cb.className = 'compare-checkbox';
-            cb.checked = selectedForCompare.has(account.email);
-            cb.onchange = () => {
-                if (cb.checked) {
-                    selectedForCompare.add(account.email);
-                } else {
-                    selectedForCompare.delete(account.email);
-                }
-                updateCompareButton();
+// Import History Management
+function showImportHistory() {
+    const modal = document.getElementById('importHistoryModal');
+    renderImportHistory();
+    modal.classList.add('visible');
+}
+
+function closeImportHistoryModal() {
+    document.getElementById('importHistoryModal').classList.remove('visible');
+}
+
+function renderImportHistory() {
+    const container = document.getElementById('importHistoryList');
+    container.innerHTML = '';
+
+    if (importHistory.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'import-history-empty';
+        empty.textContent = 'No imports yet. Import a CSV to get started!';
+        container.appendChild(empty);
+        return;
+    }
+
+    // Sort by date descending (newest first)
+    const sorted = [...importHistory].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    sorted.forEach(imp => {
+        const row = document.createElement('div');
+        row.className = 'import-history-row';
+
+        const info = document.createElement('div');
+        info.className = 'import-history-info';
+
+        const filename = document.createElement('div');
+        filename.className = 'import-history-filename';
+        filename.textContent = imp.filename;
+        info.appendChild(filename);
+
+        const meta = document.createElement('div');
+        meta.className = 'import-history-meta';
+        const date = new Date(imp.date);
+        meta.textContent = `${date.toLocaleDateString()} at ${date.toLocaleTimeString()} • ${imp.testCount} tests`;
+        if (imp.rejectedCount) {
+            meta.textContent += ` • ${imp.rejectedCount} rejected`;
+        }
+        if (imp.source === 'watch') {
+            meta.textContent += ' • from watch folder';
+        } else if (imp.source === 'recovered') {
+            meta.textContent += ' • recovered by Check Data';
+        }
+        if (imp.refreshedAt) {
+            meta.textContent += ` • refreshed ${new Date(imp.refreshedAt).toLocaleString()}`;
+        }
+        info.appendChild(meta);
+
+        row.appendChild(info);
+
+        if (imp.filePath) {
+            const refreshBtn = document.createElement('button');
+            refreshBtn.className = 'import-refresh-btn';
+            refreshBtn.textContent = 'Refresh';
+            refreshBtn.title = `Re-read ${imp.filePath} and apply its changes to this import`;
+            refreshBtn.onclick = () => refreshImport(imp.id);
+            row.appendChild(refreshBtn);
+        }
+
+        if (imp.rejectedCsv) {
+            const errorsBtn = document.createElement('button');
+            errorsBtn.className = 'import-errors-btn';
+            errorsBtn.textContent = 'Error CSV';
+            errorsBtn.title = 'Download the rows rejected from this import';
+            errorsBtn.onclick = () => downloadRejectedCsv(imp.filename, imp.rejectedCsv);
+            row.appendChild(errorsBtn);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'import-remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => removeImport(imp.id);
+        row.appendChild(removeBtn);
+
+        container.appendChild(row);
+    });
+}
+
+function removeImport(importId) {
+    const imp = importHistory.find(i => i.id === importId);
+    if (!imp) return;
+
+    showConfirmModal(
+        'Remove Import',
+        `Are you sure you want to remove "${imp.filename}"? This will delete ${imp.testCount} tests from this import.`,
+        'Remove',
+        async () => {
+            saveToHistory(`Removed import ${imp.filename}`);
+
+            // Remove tests with this import ID
+            allTests = allTests.filter(t => t.importId !== importId);
+
+            // Remove from import history
+            importHistory = importHistory.filter(i => i.id !== importId);
+
+            recalculateAll();
+            await saveData();
+            renderTable();
+            renderImportHistory();
+            showToast('Import removed successfully', 'success');
+        }
+    );
+}
+
+// Re-reads an import's original file and brings its tests in line with it,
+// keeping the import's place in history
+async function refreshImport(importId) {
+    const imp = importHistory.find(i => i.id === importId);
+    if (!imp || !imp.filePath) return;
+    if (isImporting) {
+        showToast('An import is already in progress', 'error');
+        return;
+    }
+    isImporting = true;
+
+    try {
+        const result = await readFileForImport(imp.filePath, `Reading ${imp.filename}...`);
+        hideLoadingOverlay();
+        if (result.cancelled) {
+            showToast('Refresh cancelled', 'info');
+            return;
+        }
+        if (!result.success) throw new Error(result.error);
+
+        const table = await parseImportFile(imp.filename, result, true, imp.sheet);
+        if (!table) return;
+
+        const mapping = imp.mapping && isMappingUsable(imp.mapping, table.headers)
+            ? imp.mapping
+            : await resolveColumnMapping(table);
+        if (!mapping) {
+            showToast('Refresh cancelled', 'info');
+            return;
+        }
+
+        const job = await createImportJob(imp.filename, table, mapping, imp.dateOrder);
+        const accepted = job.rows.filter(isRowAccepted);
+        const rejected = job.rows.filter(r => !isRowAccepted(r));
+        const tests = accepted.map(r => createTestRecord({ ...r.test, importId }));
+        const warnings = inferMissingAnchors(tests);
+        const diff = diffImportTests(importId, tests);
+
+        if (diff.added.length + diff.changed.length + diff.removed.length === 0) {
+            showToast(`"${imp.filename}" is already up to date`, 'info');
+            return;
+        }
+
+        const parts = [`${diff.added.length} added`, `${diff.changed.length} changed`, `${diff.removed.length} removed`];
+        let message = `Refreshing "${imp.filename}" from ${imp.filePath}: ${parts.join(', ')}.`;
+        if (rejected.length > 0) message += ` ${rejected.length} invalid row${rejected.length !== 1 ? 's' : ''} will be skipped.`;
+
+        showConfirmModal('Refresh Import', message, 'Refresh', async () => {
+            await backupBeforeChange('import', `Before refreshing ${imp.filename}`);
+            saveToHistory(`Refreshed ${imp.filename}`);
+
+            const removed = new Set(diff.removed.map(t => t.id));
+            allTests = allTests.filter(t => !removed.has(t.id));
+            const now = new Date().toISOString();
+            diff.changed.forEach(({ test, update }) => {
+                test.queueNumber = update.queueNumber;
+                test.queueAnchor = update.queueAnchor;
+                if (update.anchorSource) test.anchorSource = update.anchorSource;
+                else delete test.anchorSource;
+                test.modifiedAt = now;
+            });
+            const merge = mergeTests(diff.added, settings.duplicatePolicy);
+
+            imp.refreshedAt = new Date().toISOString();
+            imp.mapping = mapping;
+            imp.dateOrder = job.dateOrder || null;
+            imp.rejectedCount = rejected.length;
+            imp.rejectedCsv = rejected.length > 0 ? buildRejectedCsv(table.headers, rejected) : null;
+            imp.hash = result.hash || null;
+            if (imp.hash && !importedHashes.includes(imp.hash)) importedHashes.push(imp.hash);
+            syncImportCounts();
+
+            recalculateAll();
+            await saveData();
+            renderTable();
+            renderImportHistory();
+            if (currentPage === 'events') renderEventsPage();
+
+            const skipped = diff.added.length - merge.added;
+            showToast(`Refreshed "${imp.filename}": ${merge.added} added, ${diff.changed.length} changed, ${diff.removed.length} removed` +
+                (skipped > 0 ? ` (${skipped} matched other imports and were skipped)` : ''), 'success');
+            if (warnings.length > 0) {
+                setTimeout(() => showToast(warnings.join('\n'), 'info'), 1000);
+            }
+        });
+    } catch (error) {
+        hideLoadingOverlay();
+        showToast(`Refresh failed: ${error.message}`, 'error');
+        console.error('Refresh error:', error);
+    } finally {
+        isImporting = false;
+    }
+}
+
+// Matches a fresh read of an import against the tests it produced, by email, date,
+// time and event. Returns the tests to add, the existing tests to update and those to remove.
+function diffImportTests(importId, freshTests) {
+    const existing = new Map();
+    allTests.forEach(t => {
+        if (t.importId !== importId) return;
+        const key = getTestKey(t);
+        if (!existing.has(key)) existing.set(key, []);
+        existing.get(key).push(t);
+    });
+
+    const added = [];
+    const changed = [];
+    freshTests.forEach(fresh => {
+        const matches = existing.get(getTestKey(fresh));
+        if (!matches || matches.length === 0) {
+            added.push(fresh);
+            return;
+        }
+
+        const test = matches.shift();
+        if (test.queueNumber !== fresh.queueNumber || test.queueAnchor !== fresh.queueAnchor) {
+            changed.push({ test, update: fresh });
+        }
+    });
+
+    const removed = [...existing.values()].flat();
+    return { added, changed, removed };
+}
+
+// Validation helpers
+function isValidEmail(email) {
+    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return regex.test(email);
+}
+
+// Normalize any common date format to YYYY-MM-DD
+// Splits MM/DD/YYYY, DD-MM-YYYY, DD.MM.YYYY, M/D/YY etc. into [first, second, year]
+function matchNumericDate(dateString) {
+    const match = String(dateString).trim().match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/);
+    if (!match) return null;
+    let year = parseInt(match[3]);
+    // Handle 2-digit year
+    if (year < 100) year += year < 50 ? 2000 : 1900;
+    return [parseInt(match[1]), parseInt(match[2]), year];
+}
+
+// True for dates like 03/04/2026 that read differently as MM/DD and DD/MM
+function isAmbiguousDate(dateString) {
+    const parts = matchNumericDate(dateString || '');
+    return !!parts && parts[0] <= 12 && parts[1] <= 12 && parts[0] !== parts[1];
+}
+
+// order ('MDY' or 'DMY') settles dates like 03/04/2026. Without it they return
+// null rather than being guessed.
+function normalizeDate(dateString, order = null) {
+    if (!dateString || typeof dateString !== 'string') return null;
+    const s = dateString.trim();
+
+    let year, month, day;
+
+    // YYYY-MM-DD or YYYY/MM/DD
+    const isoMatch = s.match(/^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/);
+    if (isoMatch) {
+        year = parseInt(isoMatch[1]);
+        month = parseInt(isoMatch[2]);
+        day = parseInt(isoMatch[3]);
+    } else {
+        const parts = matchNumericDate(s);
+        if (!parts) return null;
+        const [a, b, c] = parts;
+        year = c;
+
+        // Determine if a/b is month/day or day/month
+        if (a > 12 && b <= 12) {
+            // a must be day (DD/MM/YYYY format)
+            day = a; month = b;
+        } else if (b > 12 && a <= 12) {
+            // b must be day (MM/DD/YYYY format)
+            month = a; day = b;
+        } else if (a === b || order === 'MDY') {
+            month = a; day = b;
+        } else if (order === 'DMY') {
+            day = a; month = b;
+        } else {
+            // Ambiguous with no known order, or neither part can be a month
+            return null;
+        }
+    }
+
+    // Validate ranges
+    if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1900 || year > 2100) return null;
+
+    // Validate the actual date
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+    // Return normalized YYYY-MM-DD
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Reads a time like 19:00, 7:00 PM or 19:00:30 as HH:MM, or null
+function normalizeTime(timeString) {
+    if (!timeString || typeof timeString !== 'string') return null;
+    const match = timeString.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([AaPp][Mm])?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const meridiem = match[3] ? match[3].toUpperCase() : null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'PM' && hours < 12) hours += 12;
+        if (meridiem === 'AM' && hours === 12) hours = 0;
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Splits a date cell into { date, time }. ISO timestamps with a UTC offset are
+// converted to local time; otherwise the time is whatever follows a 'T' or space.
+function splitDateTime(value) {
+    const s = value === undefined || value === null ? '' : String(value).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(s)) {
+        const d = new Date(s);
+        if (!isNaN(d)) {
+            const pad = (n) => String(n).padStart(2, '0');
+            return {
+                date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+                time: `${pad(d.getHours())}:${pad(d.getMinutes())}`
             };
-            emailDiv.appendChild(cb);
         }
+    }
 
-        const emailText = document.createElement('span');
-        emailText.textContent = account.email;
-        emailDiv.appendChild(emailText);
+    const match = s.match(/^(\S+?)(?:T|\s+)(\d.*)$/);
+    return match ? { date: match[1], time: match[2] } : { date: s, time: '' };
+}
+
+function isValidDate(dateString) {
+    return normalizeDate(dateString) !== null;
+}
+
+// Errors are prefixed with "Row N: " when a row index is given
+function validateTestData(test, rowIndex) {
+    const errors = [];
+    const prefix = rowIndex !== undefined ? `Row ${rowIndex}: ` : '';
+
+    if (!isValidEmail(test.email)) {
+        errors.push(`${prefix}Invalid email format "${test.email}"`);
+    }
+
+    if (isAmbiguousDate(test.testingDate)) {
+        errors.push(`${prefix}Ambiguous date "${test.testingDate}" could be month or day first; choose the date order`);
+    } else if (!isValidDate(test.testingDate)) {
+        errors.push(`${prefix}Invalid date "${test.testingDate}" (use YYYY-MM-DD, MM/DD/YYYY, or DD-MM-YYYY)`);
+    }
+    if (test.testingTime && !normalizeTime(test.testingTime)) {
+        errors.push(`${prefix}Invalid time "${test.testingTime}" (use HH:MM or H:MM AM/PM)`);
+    }
+
+    if (test.eventName.length === 0) {
+        errors.push(`${prefix}Event name cannot be empty`);
+    }
+    if (test.eventName.length > 200) {
+        errors.push(`${prefix}Event name too long (max 200 characters)`);
+    }
+
+    if (isNaN(test.queueNumber) || test.queueNumber < 0) {
+        errors.push(`${prefix}Invalid queue number "${test.queueNumber}"`);
+    }
+    if (test.queueNumber > 10000000) {
+        errors.push(`${prefix}Queue number too large (max 10,000,000)`);
+    }
+
+    if (test.queueAnchor !== null) {
+        if (isNaN(test.queueAnchor) || test.queueAnchor < 0) {
+            errors.push(`${prefix}Invalid queue anchor "${test.queueAnchor}"`);
+        }
+        if (test.queueAnchor > 10000000) {
+            errors.push(`${prefix}Queue anchor too large (max 10,000,000)`);
+        }
+        if (test.queueAnchor < test.queueNumber) {
+            errors.push(`${prefix}Queue anchor (${test.queueAnchor}) cannot be less than queue number (${test.queueNumber})`);
+        }
+    }
+
+    return errors;
+}
+
+// Reads a file for import. CSV/TSV files are streamed and parsed by the main process
+// with a progress bar and Cancel button; other formats are read in one go.
+async function readFileForImport(filePath, label) {
+    const ext = filePath.split('.').pop().toLowerCase();
+    if (!STREAMED_EXTENSIONS.includes(ext)) {
+        showLoadingOverlay(label);
+        return api.readImportFile(filePath);
+    }
+
+    const id = generateId();
+    const stream = { id, label, rows: [], cancelled: false };
+    activeImportStream = stream;
+    showLoadingOverlay(label, {
+        progress: 0,
+        onCancel: () => {
+            stream.cancelled = true;
+            api.cancelImportStream(id);
+        }
+    });
+
+    try {
+        const result = await api.streamImportFile(filePath, id);
+        // The rows read before a cancel are only part of the file, so never pass them on
+        if (stream.cancelled) return { success: false, cancelled: true };
+        if (!result.success) return result;
+        return { ...result, format: 'rows', rows: activeImportStream.rows };
+    } finally {
+        activeImportStream = null;
+    }
+}
+
+function handleImportStreamProgress({ streamId, rows, bytesRead, totalBytes }) {
+    if (!activeImportStream || activeImportStream.id !== streamId || activeImportStream.cancelled) return;
+
+    // Push one at a time; spreading a large chunk into push() can overflow the call stack
+    const buffer = activeImportStream.rows;
+    for (let i = 0; i < rows.length; i++) buffer.push(rows[i]);
+
+    updateLoadingProgress(totalBytes > 0 ? bytesRead / totalBytes * 100 : 0,
+        `${activeImportStream.label} (${buffer.length.toLocaleString()} rows)`);
+}
+
+// Turns a file read by the main process into { headers, rows }, asking which
+// sheet to use for multi-sheet workbooks. Resolves to null if the user cancels.
+async function parseImportFile(filename, file, interactive = true, sheetName = null) {
+    // Already parsed while streaming
+    if (file.format === 'rows') return { headers: file.headers, rows: file.rows };
+
+    if (file.format === 'xlsx') {
+        const sheets = file.sheets.filter(s => s.rows.length > 0);
+        if (sheets.length === 0) throw new Error('Workbook has no data');
+
+        const named = sheetName ? sheets.find(s => s.name === sheetName) : null;
+        const sheet = named || (sheets.length === 1 || !interactive ? sheets[0] : await showSheetPicker(filename, sheets));
+        if (!sheet) return null;
+        return { headers: sheet.headers, rows: sheet.rows, sheet: sheet.name };
+    }
+
+    if (file.format === 'json') return parseJSONTable(file.data);
+    return parseCSV(file.data, file.format === 'tsv' ? '\t' : '');
+}
+
+// Parse CSV text into its headers and one object per row.
+// An empty delimiter lets Papa detect commas, tabs, semicolons or pipes.
+function parseCSV(csvText, delimiter = '') {
+    const parsed = Papa.parse(csvText, {
+        header: true,
+        delimiter,
+        skipEmptyLines: true,
+        trimHeaders: true,
+        transformHeader: (h) => h.trim()
+    });
+
+    if (parsed.errors.length > 0) {
+        console.warn('CSV parsing warnings:', parsed.errors);
+    }
+
+    return {
+        headers: (parsed.meta.fields || []).filter(h => h),
+        rows: parsed.data
+    };
+}
+
+// Accepts a JSON array of test objects, an object with a "tests" array, or JSON Lines
+function parseJSONTable(text) {
+    let records;
+    try {
+        const parsed = JSON.parse(text);
+        records = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.tests) ? parsed.tests : null;
+    } catch (e) {
+        records = null;
+    }
+
+    if (!records) {
+        records = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                throw new Error(`Invalid JSON on line ${i + 1}`);
+            }
+        });
+    }
+
+    const headers = [];
+    const rows = records
+        .filter(record => record && typeof record === 'object' && !Array.isArray(record))
+        .map(record => {
+            const row = {};
+            for (const [key, value] of Object.entries(record)) {
+                const header = key.trim();
+                if (!header) continue;
+                if (!headers.includes(header)) headers.push(header);
+                row[header] = value === null || value === undefined ? ''
+                    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }
+            return row;
+        });
+
+    if (rows.length === 0) throw new Error('No test objects found in JSON');
+    return { headers, rows };
+}
+
+// Parses pasted text, detecting the delimiter and whether the first line is a header row.
+// Headerless text with 4 or 5 columns is read in the standard column order.
+function parsePastedText(text) {
+    const parsed = Papa.parse(text.trim(), { skipEmptyLines: true });
+    const lines = parsed.data.map(cells => cells.map(cell => String(cell).trim()));
+    if (lines.length === 0) return { headers: [], rows: [] };
+
+    // A header line has no emails, dates or plain numbers in it
+    const looksLikeValue = (cell) => {
+        const date = splitDateTime(cell).date;
+        return cell.includes('@') || /^\d+([.,]\d+)?$/.test(cell) || !!normalizeDate(date) || isAmbiguousDate(date);
+    };
+    const headerless = lines[0].some(looksLikeValue);
+
+    let headers;
+    if (headerless) {
+        // Times can't be told apart by position, so headerless text carries them in the date column
+        const standardOrder = IMPORT_FIELDS.filter(f => f.key !== 'testingTime');
+        const width = lines.reduce((max, cells) => Math.max(max, cells.length), 0);
+        headers = width === 4 || width === 5
+            ? standardOrder.slice(0, width).map(f => f.header)
+            : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    } else {
+        headers = lines.shift().map((h, i) => h || `Column ${i + 1}`);
+    }
+
+    const rows = lines.map(cells => {
+        const row = {};
+        headers.forEach((h, i) => {
+            row[h] = cells[i] !== undefined ? cells[i] : '';
+        });
+        return row;
+    });
+
+    return { headers, rows, headerless };
+}
+
+function showSheetPicker(filename, sheets) {
+    document.getElementById('sheetPickerMessage').textContent = `"${filename}" has ${sheets.length} sheets with data. Which one should be imported?`;
+
+    const list = document.getElementById('sheetPickerList');
+    list.innerHTML = '';
+    sheets.forEach(sheet => {
+        const btn = document.createElement('button');
+        btn.className = 'quick-group-option';
+        btn.textContent = `${sheet.name} (${sheet.rows.length} row${sheet.rows.length !== 1 ? 's' : ''})`;
+        btn.onclick = () => finishSheetPicker(sheet);
+        list.appendChild(btn);
+    });
+
+    return new Promise(resolve => {
+        sheetPickerResolve = resolve;
+        document.getElementById('sheetPickerModal').classList.add('visible');
+    });
+}
+
+function closeSheetPickerModal() {
+    finishSheetPicker(null);
+}
+
+function finishSheetPicker(sheet) {
+    document.getElementById('sheetPickerModal').classList.remove('visible');
+    if (sheetPickerResolve) {
+        const resolve = sheetPickerResolve;
+        sheetPickerResolve = null;
+        resolve(sheet);
+    }
+}
+
+// ============================
+// COLUMN MAPPING
+// ============================
+
+// Order-independent key identifying a set of headers
+function getHeaderSignature(headers) {
+    return headers.map(h => h.toLowerCase()).sort().join('|');
+}
+
+// Mapping for files that use QueueTrack's own headers, or its field names (e.g. JSON test objects)
+function getStandardMapping(headers) {
+    for (const naming of ['header', 'key']) {
+        const required = IMPORT_FIELDS.filter(f => f.required);
+        if (!required.every(f => headers.includes(f[naming]))) continue;
+
+        const mapping = {};
+        IMPORT_FIELDS.forEach(f => {
+            mapping[f.key] = headers.includes(f[naming]) ? f[naming] : null;
+        });
+        return mapping;
+    }
+    return null;
+}
+
+// Best-effort mapping used to pre-fill the wizard
+function guessColumnMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    IMPORT_FIELDS.forEach(field => {
+        const match = headers.find(h => !used.has(h) && h === field.header) ||
+            headers.find(h => !used.has(h) && field.aliases.includes(h.toLowerCase()));
+        mapping[field.key] = match || null;
+        if (match) used.add(match);
+    });
+    return mapping;
+}
+
+function isMappingUsable(mapping, headers) {
+    return IMPORT_FIELDS.every(field => {
+        const column = mapping[field.key];
+        if (!column) return !field.required;
+        return headers.includes(column);
+    });
+}
+
+// Returns the mapping for this table, asking the user when the headers are unknown.
+// Resolves to null if the user cancels.
+async function resolveColumnMapping(table) {
+    const standard = getStandardMapping(table.headers);
+    if (standard) return standard;
+
+    const signature = getHeaderSignature(table.headers);
+    const saved = settings.columnMappings && settings.columnMappings[signature];
+    if (saved && isMappingUsable(saved, table.headers)) return saved;
+
+    const mapping = await showColumnMappingModal(table.headers, table.rows[0] || {}, guessColumnMapping(table.headers));
+    if (!mapping) return null;
+
+    if (!settings.columnMappings) settings.columnMappings = {};
+    settings.columnMappings[signature] = mapping;
+    await saveSettings();
+    return mapping;
+}
+
+function showColumnMappingModal(headers, sampleRow, initialMapping) {
+    const list = document.getElementById('columnMappingList');
+    list.innerHTML = '';
+
+    IMPORT_FIELDS.forEach(field => {
+        const row = document.createElement('div');
+        row.className = 'column-mapping-row';
+
+        const label = document.createElement('div');
+        label.className = 'column-mapping-label';
+        label.textContent = field.label + (field.required ? '' : ' (optional)');
+        row.appendChild(label);
+
+        const select = document.createElement('select');
+        select.className = 'setting-input column-mapping-select';
+        select.dataset.field = field.key;
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '— Not mapped —';
+        select.appendChild(none);
+
+        headers.forEach(h => {
+            const option = document.createElement('option');
+            option.value = h;
+            option.textContent = h;
+            select.appendChild(option);
+        });
+        select.value = initialMapping[field.key] || '';
+        row.appendChild(select);
+
+        const sample = document.createElement('div');
+        sample.className = 'column-mapping-sample';
+        const updateSample = () => {
+            const value = select.value ? sampleRow[select.value] : '';
+            sample.textContent = value ? `e.g. ${value}` : '';
+        };
+        select.onchange = updateSample;
+        updateSample();
+        row.appendChild(sample);
+
+        list.appendChild(row);
+    });
+
+    return new Promise(resolve => {
+        columnMappingResolve = resolve;
+        document.getElementById('columnMappingModal').classList.add('visible');
+    });
+}
+
+function applyColumnMapping() {
+    const mapping = {};
+    document.querySelectorAll('#columnMappingList .column-mapping-select').forEach(select => {
+        mapping[select.dataset.field] = select.value || null;
+    });
+
+    const missing = IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]);
+    if (missing.length > 0) {
+        showToast(`Choose a column for: ${missing.map(f => f.label).join(', ')}`, 'error');
+        return;
+    }
+
+    const columns = Object.values(mapping).filter(Boolean);
+    if (new Set(columns).size !== columns.length) {
+        showToast('Each column can only be mapped to one field', 'error');
+        return;
+    }
+
+    finishColumnMapping(mapping);
+}
+
+function closeColumnMappingModal() {
+    finishColumnMapping(null);
+}
+
+function finishColumnMapping(mapping) {
+    document.getElementById('columnMappingModal').classList.remove('visible');
+    if (columnMappingResolve) {
+        const resolve = columnMappingResolve;
+        columnMappingResolve = null;
+        resolve(mapping);
+    }
+}
+
+function clearColumnMappings() {
+    const count = Object.keys(settings.columnMappings || {}).length;
+    if (count === 0) {
+        showToast('No saved column mappings', 'info');
+        return;
+    }
+
+    showConfirmModal(
+        'Clear Column Mappings',
+        `Forget ${count} saved column mapping${count !== 1 ? 's' : ''}? You will be asked to map columns again the next time you import those files.`,
+        'Clear',
+        async () => {
+            settings.columnMappings = {};
+            await saveSettings();
+            showToast('Saved column mappings cleared', 'success');
+        }
+    );
+}
+
+function processNewTests(newTests, policy = 'keep') {
+    const warnings = inferMissingAnchors(newTests);
+    const merge = mergeTests(newTests, policy);
+    return { warnings, merge };
+}
+
+// Fills in queueAnchor where the import left it out. Returns a warning per guessed anchor.
+function inferMissingAnchors(newTests) {
+    const warnings = [];
+    const events = {};
+
+    newTests.forEach(test => {
+        if (test.queueAnchor === null) {
+            if (!events[test.eventName]) events[test.eventName] = [];
+            events[test.eventName].push(test.queueNumber);
+        }
+    });
+
+    for (const [event, nums] of Object.entries(events)) {
+        const maxQueue = Math.max(...nums);
+        // Prefer an anchor the event already has, from this import or earlier ones, over a guess
+        const known = findKnownAnchor(event, newTests);
+        let anchor, source;
+        if (known && known.queueAnchor >= maxQueue) {
+            anchor = known.queueAnchor;
+            source = getAnchorSource(known);
+        } else {
+            anchor = Math.ceil(maxQueue / 1000) * 1000;
+            source = 'inferred';
+            warnings.push(`No anchor for "${event}", using ${anchor.toLocaleString()}. Edit it on the Events page.`);
+        }
+        newTests.forEach(t => {
+            if (t.eventName === event && t.queueAnchor === null) {
+                t.queueAnchor = anchor;
+                if (source !== 'supplied') t.anchorSource = source;
+            }
+        });
+    }
+
+    return warnings;
+}
+
+// Orders tests oldest first by date, then time of day. Tests without a time sort
+// before timed tests on the same day.
+function compareTests(a, b) {
+    return a.testingDate.localeCompare(b.testingDate) || (a.testingTime || '').localeCompare(b.testingTime || '');
+}
+
+function recalculateAll() {
+    const groups = {};
+    allTests.forEach(t => {
+        if (!groups[t.email]) groups[t.email] = [];
+        groups[t.email].push(t);
+    });
+
+    for (const email in groups) {
+        const tests = groups[email].sort(compareTests);
+        tests.forEach((t, i) => {
+            t.testingNum = i + 1;
+            // Guard against division by zero
+            t.queuePercent = (t.queueAnchor && t.queueAnchor > 0)
+                ? (t.queueNumber / t.queueAnchor) * 100
+                : 0;
+            t.queueChangePercent = i > 0 ? t.queuePercent - tests[i-1].queuePercent : 0;
+        });
+    }
+}
+
+// Sorting
+function updateSortIndicators() {
+    document.querySelectorAll('.sortable-header').forEach(header => {
+        const indicator = header.querySelector('.sort-indicator');
+        if (header.dataset.sort === currentSort.field) {
+            header.classList.add('active');
+            indicator.textContent = currentSort.direction === 'asc' ? '\u25B2' : '\u25BC';
+        } else {
+            header.classList.remove('active');
+            indicator.textContent = '';
+        }
+    });
+}
+
+function toggleSort(field) {
+    if (currentSort.field === field) {
+        currentSort.direction = currentSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        currentSort.field = field;
+        // Lower projected queue % is better, so those come first
+        currentSort.direction = field === 'projected' ? 'asc' : 'desc';
+    }
+    visibleRowCount = INITIAL_ROW_LIMIT;
+    renderTable();
+}
+
+// Table Rendering
+function renderTable() {
+    const data = getTableData();
+    const tbody = document.getElementById('tableBody');
+    tbody.innerHTML = '';
+
+    // Update compare button visibility
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) {
+        compareBtn.style.display = compareMode ? 'none' : 'inline-flex';
+    }
+
+    if (data.length === 0) {
+        let message = 'No data. Import CSV to start!';
+        if (currentFilter === 'improving' || currentFilter === 'declining') {
+            message = 'No results: Accounts need at least 2 tests to show improvement/decline.';
+        } else if (currentFilter.startsWith('group:')) {
+            message = 'No accounts in this group yet.';
+        } else if (currentFilter === 'projected' && allTests.length > 0) {
+            message = `No accounts are projected at or below ${settings.projectionThreshold}%. Accounts need at least ${FORECAST_MIN_TESTS} tests to be projected.`;
+        } else if (allTests.length > 0) {
+            message = 'No accounts match this filter.';
+        }
+
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 8;
+        cell.style.textAlign = 'center';
+        cell.style.padding = '40px';
+        cell.style.color = '#86868b';
+        cell.textContent = message;
+        updateStats([]);
+        return;
+    }
+
+    // Sort data based on currentSort
+    if (currentSort.field === 'email') {
+        data.sort((a, b) => {
+            const cmp = a.email.localeCompare(b.email);
+            return currentSort.direction === 'asc' ? cmp : -cmp;
+        });
+    } else if (currentSort.field === 'projected') {
+        // Accounts without a projection go last either way
+        data.sort((a, b) => {
+            if (!a.forecast || !b.forecast) return (a.forecast ? 0 : 1) - (b.forecast ? 0 : 1);
+            const diff = a.forecast.projected - b.forecast.projected;
+            return currentSort.direction === 'asc' ? diff : -diff;
+        });
+    } else {
+        // Default: sort by change %
+        data.sort((a, b) => {
+            const aChange = getOverallChange(a.email) || 0;
+            const bChange = getOverallChange(b.email) || 0;
+            return currentSort.direction === 'asc' ? aChange - bChange : bChange - aChange;
+        });
+    }
+
+    // Update sort indicator in headers
+    updateSortIndicators();
+
+    const visibleData = data.slice(0, visibleRowCount);
+    const hasMore = data.length > visibleRowCount;
+
+    visibleData.forEach(account => {
+        const row = tbody.insertRow();
+
+        // Email cell
+        const emailCell = row.insertCell();
+        const emailDiv = document.createElement('div');
+        emailDiv.className = 'email-cell';
+
+        // Compare checkbox
+        if (compareMode) {
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.className = 'compare-checkbox';
+            cb.checked = selectedForCompare.has(account.email);
+            cb.onchange = () => {
+                if (cb.checked) {
+                    selectedForCompare.add(account.email);
+                } else {
+                    selectedForCompare.delete(account.email);
+                }
+                updateCompareButton();
+            };
+            emailDiv.appendChild(cb);
+        }
+
+        const emailText = document.createElement('span');
+        emailText.textContent = account.email;
+        emailDiv.appendChild(emailText);
+
+        // Group badge
+        const groupName = getAccountGroup(account.email);
+        if (groupName) {
+            const groupBadge = document.createElement('span');
+            groupBadge.className = 'badge group-badge';
+            groupBadge.textContent = groupName;
+            emailDiv.appendChild(groupBadge);
+        }
+
+        if (window.bestEmail && account.email === window.bestEmail) {
+            const badge = document.createElement('span');
+            badge.className = 'badge best';
+            badge.textContent = 'Best';
+            emailDiv.appendChild(badge);
+        }
+
+        settings.tiers.filter(tier => tier.badge && countsForTier(account.tests[0], tier)).forEach(tier => {
+            const badge = document.createElement('span');
+            badge.className = 'badge tier-badge';
+            badge.style.setProperty('--tier-color', tier.color);
+            badge.textContent = tier.name;
+            emailDiv.appendChild(badge);
+        });
+
+        const btn = document.createElement('button');
+        btn.className = 'view-all-btn';
+        btn.textContent = 'Timeline';
+        btn.dataset.email = account.email;
+        emailDiv.appendChild(btn);
+
+        // Add to Group button
+        const groupAddBtn = document.createElement('button');
+        groupAddBtn.className = 'view-all-btn group-add-quick';
+        groupAddBtn.textContent = groupName ? '\u270E' : '+';
+        groupAddBtn.title = groupName ? 'Change group' : 'Add to group';
+        groupAddBtn.dataset.email = account.email;
+        groupAddBtn.onclick = (e) => {
+            e.stopPropagation();
+            showQuickGroupPicker(account.email);
+        };
+        emailDiv.appendChild(groupAddBtn);
+
+        emailCell.appendChild(emailDiv);
+
+        // Change cell
+        const changeCell = row.insertCell();
+        const change = getOverallChange(account.email);
+        const span = document.createElement('span');
+        span.className = 'change-cell ' + (change === null ? 'no-change' : change > 0 ? 'improved' : 'declined');
+        span.textContent = change === null ? 'N/A' : (change >= 0 ? '+' : '') + change.toFixed(1) + '%';
+        changeCell.appendChild(span);
+
+        // Projected cell
+        const projectedCell = row.insertCell();
+        const projected = document.createElement('span');
+        if (account.forecast) {
+            projected.className = 'event-percent';
+            applyTierStyle(projected, getTier(account.forecast.projected));
+            projected.textContent = account.forecast.projected.toFixed(1) + '%';
+            projected.title = describeForecast(account.forecast);
+        } else {
+            projected.className = 'change-cell no-change';
+            projected.textContent = 'N/A';
+            projected.title = `Accounts need at least ${FORECAST_MIN_TESTS} tests to be projected`;
+        }
+        projectedCell.appendChild(projected);
+
+        // Test cells
+        const recent = account.tests.slice(0, 5);
+        for (let i = 0; i < 5; i++) {
+            const cell = row.insertCell();
+            if (i < recent.length) {
+                cell.appendChild(createTestCell(recent[i], account.email));
+            } else if (i === recent.length) {
+                const addSlot = document.createElement('button');
+                addSlot.className = 'add-test-slot';
+                addSlot.textContent = '+';
+                addSlot.title = 'Add a test for this account';
+                addSlot.dataset.email = account.email;
+                cell.appendChild(addSlot);
+            }
+        }
+    });
+
+    if (hasMore) {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 8;
+        cell.style.textAlign = 'center';
+        cell.style.padding = '20px';
+
+        const remaining = data.length - visibleRowCount;
+        const btn = document.createElement('button');
+        btn.className = 'show-more-btn';
+        btn.textContent = `Show ${Math.min(ROW_INCREMENT, remaining)} More (${remaining} remaining)`;
+        btn.onclick = () => {
+            visibleRowCount += ROW_INCREMENT;
+            renderTable();
+        };
+        cell.appendChild(btn);
+    }
+
+    updateStats(allTests);
+    updateBestQueuesStrip();
+
+    if (data.length > INITIAL_ROW_LIMIT) {
+        console.log(`Performance: Showing ${visibleData.length} of ${data.length} accounts`);
+    }
+
+    // Trigger number animations and glow effects after DOM update
+    requestAnimationFrame(() => {
+        animateQueueNumbers();
+        applyGlowEffects();
+    });
+}
+
+function createTestCell(test, email) {
+    const div = document.createElement('div');
+    div.className = 'test-cell';
+    const tier = getTestTier(test);
+    applyTierStyle(div, tier);
+    if (tier.alert) div.classList.add('alert-tier');
+    div.style.minWidth = '100px';
+    div.dataset.email = email;
+    div.dataset.testId = test.id;
+
+    const info = document.createElement('span');
+    info.className = 'info-icon';
+    info.textContent = 'i';
+    div.appendChild(info);
+
+    const nums = document.createElement('div');
+    nums.className = 'queue-numbers';
+    nums.textContent = formatNum(test.queueNumber) + '/' + formatNum(test.queueAnchor);
+    div.appendChild(nums);
+
+    const pct = document.createElement('div');
+    pct.className = 'queue-percent';
+    pct.dataset.targetValue = test.queuePercent.toFixed(1);
+    pct.textContent = '0.0%';
+    div.appendChild(pct);
+
+    return div;
+}
+
+// Animate all queue-percent elements that haven't been animated yet
+function animateQueueNumbers() {
+    const els = document.querySelectorAll('.queue-percent[data-target-value]');
+    els.forEach(el => {
+        const target = parseFloat(el.dataset.targetValue);
+        if (isNaN(target)) return;
+        el.removeAttribute('data-target-value');
+        const duration = 600; // ms
+        const startTime = performance.now();
+        function tick(now) {
+            const elapsed = now - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            // ease-out cubic
+            const eased = 1 - Math.pow(1 - progress, 3);
+            const current = (target * eased).toFixed(1);
+            el.textContent = current + '%';
+            if (progress < 1) {
+                requestAnimationFrame(tick);
+            } else {
+                el.textContent = target.toFixed(1) + '%';
+            }
+        }
+        requestAnimationFrame(tick);
+    });
+}
+
+// Apply glow pulse to cells in alert tiers
+function applyGlowEffects() {
+    document.querySelectorAll('.test-cell.alert-tier').forEach(cell => {
+        cell.classList.add('glow-pulse');
+        cell.addEventListener('animationend', () => {
+            cell.classList.remove('glow-pulse');
+        }, { once: true });
+    });
+}
+
+// Synthesize a satisfying "ding" sound via Web Audio API
+function playDingSound() {
+    try {
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(880, ctx.currentTime); // A5
+        osc.frequency.exponentialRampToValueAtTime(1320, ctx.currentTime + 0.08); // E6
+        gain.gain.setValueAtTime(0.3, ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.4);
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        osc.start(ctx.currentTime);
+        osc.stop(ctx.currentTime + 0.4);
+    } catch (e) {
+        // Audio not available, skip silently
+    }
+}
+
+// Check if any accounts crossed into an alert tier since last render
+function checkSoundTriggers() {
+    const groups = {};
+    allTests.forEach(t => {
+        if (!groups[t.email]) groups[t.email] = [];
+        groups[t.email].push(t);
+    });
+
+    let shouldDing = false;
+    for (const email in groups) {
+        const tests = groups[email].sort((a, b) => compareTests(b, a));
+        const tier = getTestTier(tests[0]);
+        const isAlert = tier.alert;
+
+        // Ding if: account's latest test is in an alert tier AND it wasn't in one before
+        if (isAlert && !previousAlertByEmail[email]) {
+            shouldDing = true;
+        }
+        previousAlertByEmail[email] = isAlert;
+    }
+
+    if (shouldDing) {
+        playDingSound();
+    }
+}
+
+// Best Queues strip: sorted by best (lowest) queue%, bottom-to-top
+function updateBestQueuesStrip() {
+    const strip = document.getElementById('bestQueuesStrip');
+    const list = document.getElementById('bestQueuesList');
+    if (!strip || !list) return;
+
+    // Group tests by email, get each account's best (most recent) queue%
+    const groups = {};
+    allTests.forEach(t => {
+        if (!groups[t.email]) groups[t.email] = [];
+        groups[t.email].push(t);
+    });
+
+    const accounts = [];
+    for (const email in groups) {
+        const tests = groups[email].sort((a, b) => compareTests(b, a));
+        accounts.push({ email, queuePercent: tests[0].queuePercent, tier: getTestTier(tests[0]) });
+    }
+
+    // Sort by best queue (lowest %) — best at bottom due to column-reverse
+    accounts.sort((a, b) => a.queuePercent - b.queuePercent);
+
+    // Only show top 10
+    const top = accounts.slice(0, 10);
+
+    if (top.length === 0) {
+        strip.style.display = 'none';
+        return;
+    }
+
+    strip.style.display = 'block';
+    list.innerHTML = '';
+
+    top.forEach((account, i) => {
+        const item = document.createElement('div');
+        item.className = 'best-queue-item';
+        applyTierStyle(item, account.tier);
+        item.style.animationDelay = (i * 0.06) + 's';
+
+        const emailSpan = document.createElement('span');
+        emailSpan.className = 'best-queue-email';
+        emailSpan.textContent = account.email;
+
+        const pctSpan = document.createElement('span');
+        pctSpan.className = 'best-queue-pct';
+        pctSpan.textContent = account.queuePercent.toFixed(1) + '%';
+
+        item.appendChild(emailSpan);
+        item.appendChild(pctSpan);
+        list.appendChild(item);
+    });
+}
+
+// Shows the accounts a filter chip picks out
+function selectFilterChip(chip) {
+    currentFilter = chip.dataset.filter;
+    visibleRowCount = INITIAL_ROW_LIMIT;
+    document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
+    chip.classList.add('active');
+    showLoadingState();
+    requestAnimationFrame(() => {
+        renderTable();
+        hideLoadingState();
+    });
+}
+
+function getTableData() {
+    const groups = {};
+    allTests.forEach(t => {
+        if (!groups[t.email]) groups[t.email] = [];
+        groups[t.email].push(t);
+    });
+
+    const data = [];
+    for (const email in groups) {
+        const tests = groups[email].sort((a, b) => compareTests(b, a));
+        const forecast = getForecast(tests.slice().reverse());
+        if (shouldInclude(email, tests, forecast)) data.push({ email, tests, forecast });
+    }
+    return data;
+}
+
+function shouldInclude(email, tests, forecast) {
+    const latest = tests[0];
+    const change = getOverallChange(email);
+
+    if (currentFilter.startsWith('search:')) {
+        const query = currentFilter.replace('search:', '').toLowerCase();
+        return email.toLowerCase().includes(query);
+    }
+
+    if (currentFilter.startsWith('group:')) {
+        const groupName = currentFilter.replace('group:', '');
+        return getAccountGroup(email) === groupName;
+    }
+
+    if (currentFilter.startsWith('tier:')) {
+        const tier = settings.tiers.find(t => 'tier:' + t.id === currentFilter);
+        return !!tier && countsForTier(latest, tier);
+    }
+
+    switch (currentFilter) {
+        case 'improving': return change !== null && change > 0;
+        case 'declining': return change !== null && change < 0;
+        case 'projected': return forecast !== null && forecast.projected <= settings.projectionThreshold;
+        default: return true;
+    }
+}
+
+// ============================
+// TIERS
+// ============================
+
+// The first tier a queue % fits. Anything past every max, including a missing %, falls in the last tier.
+function getTier(percent) {
+    return settings.tiers.find(tier => percent <= tier.max) || settings.tiers[settings.tiers.length - 1];
+}
+
+function getTestTier(test) {
+    return getTier(test.queuePercent);
+}
+
+// Whether a test counts for a tier's badge and filter. A tier with a minimum anchor stands for
+// a good result in a queue at least that big, so better results in such a queue count too.
+function countsForTier(test, tier) {
+    if (tier.minAnchor > 0) return test.queueAnchor >= tier.minAnchor && test.queuePercent <= tier.max;
+    return getTestTier(test).id === tier.id;
+}
+
+// Colors an element with its tier
+function applyTierStyle(el, tier) {
+    el.classList.add('tier');
+    el.style.setProperty('--tier-color', tier.color);
+}
+
+// e.g. "10–20%". A tier starts at the max of the tier before it.
+function getTierRange(index) {
+    const lower = index > 0 ? settings.tiers[index - 1].max : 0;
+    return `${lower}–${settings.tiers[index].max}%`;
+}
+
+// Best first
+function sortTiers(tiers) {
+    return [...tiers].sort((a, b) => a.max - b.max);
+}
+
+// Returns an error message, or null if the tier can be saved alongside `tiers`
+function validateTier(tier, tiers = settings.tiers) {
+    if (typeof tier.name !== 'string' || !tier.name) return 'Enter a tier name';
+    if (tier.name.length > MAX_TIER_NAME_LENGTH) return `Tier names can be at most ${MAX_TIER_NAME_LENGTH} characters`;
+    const taken = tiers.some(t => t.id !== tier.id && t.name.toLowerCase() === tier.name.toLowerCase());
+    if (taken) return `There is already a tier called "${tier.name}"`;
+    if (!Number.isFinite(tier.max) || tier.max < 0 || tier.max > 100) return 'A tier\'s max queue % must be from 0 to 100';
+    const sameMax = tiers.find(t => t.id !== tier.id && t.max === tier.max);
+    if (sameMax) return `${sameMax.name} already goes up to ${tier.max}%`;
+    if (!Number.isInteger(tier.minAnchor) || tier.minAnchor < 0) return 'A tier\'s minimum anchor must be a whole number of 0 or more';
+    if (typeof tier.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(tier.color)) return 'Choose a tier color';
+    return null;
+}
+
+async function setTiers(tiers, label) {
+    saveToHistory(label);
+    settings.tiers = sortTiers(tiers);
+    await saveSettings();
+    refreshAfterTierChange();
+}
+
+function refreshAfterTierChange() {
+    renderTierSettings();
+    resetMissingTierFilter();
+    renderTierFilterChips();
+    renderTable();
+    if (currentPage === 'events') renderEventsPage();
+}
+
+async function updateTier(id, changes) {
+    const tier = settings.tiers.find(t => t.id === id);
+    if (!tier) return;
+    const updated = { ...tier, ...changes };
+    const error = validateTier(updated);
+    if (error) {
+        showToast(error, 'error');
+        renderTierSettings();
+        return;
+    }
+    if (JSON.stringify(updated) === JSON.stringify(tier)) return;
+    await setTiers(settings.tiers.map(t => t.id === id ? updated : t), `Changed tier ${tier.name}`);
+}
+
+// New tiers go last, or split the last tier's range if it already reaches 100%
+function addTier() {
+    showPromptModal('Add Tier', 'Name the tier, then set its max queue %, minimum anchor and color in Settings.', '', 'Add', async (name) => {
+        const last = settings.tiers[settings.tiers.length - 1];
+        const lower = settings.tiers.length > 1 ? settings.tiers[settings.tiers.length - 2].max : 0;
+        const max = last.max < 100 ? 100 : Math.round(lower + last.max) / 2;
+        const tier = { id: generateId(), name, max, minAnchor: 0, color: '#8e8e93', badge: false, alert: false };
+        const error = validateTier(tier);
+        if (error) return error;
+        await setTiers([...settings.tiers, tier], `Added tier ${name}`);
+    });
+}
+
+async function removeTier(id) {
+    const tier = settings.tiers.find(t => t.id === id);
+    if (!tier) return;
+    if (settings.tiers.length === 1) {
+        showToast('Keep at least one tier', 'error');
+        return;
+    }
+    await setTiers(settings.tiers.filter(t => t.id !== id), `Removed tier ${tier.name}`);
+    showToast(`Removed tier ${tier.name}`, 'success');
+}
+
+async function resetTiers() {
+    if (JSON.stringify(settings.tiers) === JSON.stringify(DEFAULT_TIERS)) return;
+    await setTiers(DEFAULT_TIERS.map(tier => ({ ...tier })), 'Reset tiers to defaults');
+    showToast('Tiers reset to defaults', 'success');
+}
+
+function renderTierSettings() {
+    const container = document.getElementById('tierList');
+    if (!container) return;
+    container.innerHTML = '';
+
+    settings.tiers.forEach((tier, i) => {
+        const item = document.createElement('div');
+        item.className = 'color-range-item';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'color-swatch';
+        color.value = tier.color;
+        color.title = 'Tier color';
+        color.onchange = () => updateTier(tier.id, { color: color.value });
+        item.appendChild(color);
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'color-range-input color-range-name';
+        name.value = tier.name;
+        name.maxLength = MAX_TIER_NAME_LENGTH;
+        name.onchange = () => updateTier(tier.id, { name: name.value.trim() });
+        item.appendChild(name);
+
+        const remove = document.createElement('button');
+        remove.className = 'group-email-remove';
+        remove.textContent = '\u2715';
+        remove.title = 'Remove tier';
+        remove.onclick = () => removeTier(tier.id);
+        item.appendChild(remove);
+
+        const max = document.createElement('label');
+        max.innerHTML = 'Up to <input type="number" class="color-range-input" min="0" max="100" step="0.5"> %';
+        const maxInput = max.querySelector('input');
+        maxInput.value = tier.max;
+        maxInput.onchange = () => updateTier(tier.id, { max: parseFloat(maxInput.value) });
+        item.appendChild(max);
+
+        const anchor = document.createElement('label');
+        anchor.innerHTML = 'Min anchor <input type="number" class="color-range-input" min="0" step="1000">';
+        const anchorInput = anchor.querySelector('input');
+        anchorInput.value = tier.minAnchor;
+        anchorInput.onchange = () => updateTier(tier.id, { minAnchor: Number(anchorInput.value) });
+        item.appendChild(anchor);
+
+        [['badge', 'Badge', 'Label accounts whose latest test is in this tier'],
+         ['alert', 'Alert', 'Ding and glow when an account reaches this tier']].forEach(([key, text, title]) => {
+            const label = document.createElement('label');
+            label.title = title;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = tier[key];
+            checkbox.onchange = () => updateTier(tier.id, { [key]: checkbox.checked });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            item.appendChild(label);
+        });
+
+        const note = document.createElement('div');
+        note.className = 'color-range-note';
+        note.textContent = getTierRange(i) + (tier.minAnchor > 0
+            ? `; badge and filter take anything up to ${tier.max}% with an anchor of ${formatNum(tier.minAnchor)}+`
+            : '');
+        item.appendChild(note);
+
+        container.appendChild(item);
+    });
+}
+
+// One chip per tier, after "All"
+function renderTierFilterChips() {
+    document.querySelectorAll('.filter-chip.tier-chip').forEach(c => c.remove());
+
+    let previous = document.querySelector('.filter-chip[data-filter="all"]');
+    settings.tiers.forEach(tier => {
+        const chip = document.createElement('button');
+        chip.className = 'filter-chip tier-chip';
+        chip.dataset.filter = 'tier:' + tier.id;
+        chip.style.setProperty('--tier-color', tier.color);
+        chip.textContent = tier.name;
+        if (currentFilter === 'tier:' + tier.id) chip.classList.add('active');
+        chip.onclick = () => selectFilterChip(chip);
+        previous.after(chip);
+        previous = chip;
+    });
+}
+
+// Goes back to showing all accounts if the tier being filtered on no longer exists
+function resetMissingTierFilter() {
+    if (!currentFilter.startsWith('tier:')) return;
+    if (settings.tiers.some(tier => 'tier:' + tier.id === currentFilter)) return;
+    currentFilter = 'all';
+    document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
+    document.querySelector('.filter-chip[data-filter="all"]').classList.add('active');
+}
+
+// ============================
+// EVENTS
+// ============================
+
+// Tests without anchorSource had their anchor supplied by the import
+function getAnchorSource(test) {
+    return test.anchorSource || 'supplied';
+}
+
+// The largest anchor already given to an event, by this batch of tests or existing ones
+function findKnownAnchor(eventName, newTests) {
+    let known = null;
+    [...newTests, ...allTests].forEach(t => {
+        if (t.eventName !== eventName || !t.queueAnchor) return;
+        if (!known || t.queueAnchor > known.queueAnchor) known = t;
+    });
+    return known;
+}
+
+// One summary per event. anchor is null when the event's tests disagree,
+// in which case minAnchor/maxAnchor give the range.
+function getEventSummaries() {
+    const events = {};
+    allTests.forEach(t => {
+        if (!events[t.eventName]) {
+            events[t.eventName] = { name: t.eventName, tests: [], accounts: new Set(), anchors: new Set(), sources: new Set() };
+        }
+        const e = events[t.eventName];
+        e.tests.push(t);
+        e.accounts.add(t.email);
+        e.anchors.add(t.queueAnchor);
+        e.sources.add(getAnchorSource(t));
+    });
+
+    return Object.values(events).map(e => {
+        const anchors = [...e.anchors];
+        return {
+            name: e.name,
+            testCount: e.tests.length,
+            accountCount: e.accounts.size,
+            lastDate: e.tests.reduce((latest, t) => t.testingDate > latest ? t.testingDate : latest, ''),
+            maxQueue: Math.max(...e.tests.map(t => t.queueNumber)),
+            anchor: anchors.length === 1 ? anchors[0] : null,
+            minAnchor: Math.min(...anchors),
+            maxAnchor: Math.max(...anchors),
+            source: e.sources.size === 1 ? [...e.sources][0] : 'mixed'
+        };
+    });
+}
+
+function renderEventsPage() {
+    const body = document.getElementById('eventsTableBody');
+    body.innerHTML = '';
+
+    const events = getEventSummaries().sort((a, b) => b.lastDate.localeCompare(a.lastDate) || a.name.localeCompare(b.name));
+
+    // The event being viewed can disappear, e.g. on undo
+    const openEvent = events.find(e => e.name === openEventName);
+    if (!openEvent) openEventName = null;
+    document.getElementById('eventsListCard').style.display = openEvent ? 'none' : '';
+    document.getElementById('eventDetailCard').style.display = openEvent ? '' : 'none';
+    if (openEvent) {
+        renderEventDetail(openEvent);
+        return;
+    }
+
+    if (events.length === 0) {
+        body.innerHTML = '<tr><td colspan="8" class="events-empty">No events yet. Import some tests to see their anchors here.</td></tr>';
+        return;
+    }
+
+    const sourceLabels = { supplied: 'Supplied', inferred: 'Inferred', edited: 'Edited', mixed: 'Mixed' };
+
+    events.forEach(event => {
+        const row = document.createElement('tr');
+        row.className = 'event-row';
+        row.title = `See how every account did on ${event.name}`;
+        row.onclick = () => showEventDetail(event.name);
+
+        const anchorText = event.anchor !== null
+            ? event.anchor.toLocaleString()
+            : `${event.minAnchor.toLocaleString()}\u2013${event.maxAnchor.toLocaleString()}`;
+
+        row.innerHTML = `
+            <td class="event-name">${escapeHtml(event.name)}</td>
+            <td class="event-number">${event.testCount}</td>
+            <td class="event-number">${event.accountCount}</td>
+            <td class="event-number">${event.lastDate}</td>
+            <td class="event-number">${event.maxQueue.toLocaleString()}</td>
+            <td class="event-number">${anchorText}</td>
+            <td><span class="anchor-source ${event.source}">${sourceLabels[event.source]}</span></td>
+            <td></td>
+        `;
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'action-btn';
+        editBtn.textContent = 'Edit Anchor';
+        editBtn.onclick = (e) => {
+            e.stopPropagation();
+            editEventAnchor(event);
+        };
+        row.lastElementChild.appendChild(editBtn);
+
+        body.appendChild(row);
+    });
+}
+
+// Event detail: how every account did on one event. Each account counts once, with its
+// best (lowest) queue % for the event.
+function getEventResults(eventName) {
+    const best = {};
+    allTests.forEach(t => {
+        if (t.eventName !== eventName) return;
+        if (!best[t.email] || t.queuePercent < best[t.email].queuePercent) best[t.email] = t;
+    });
+    return Object.values(best).sort((a, b) => a.queuePercent - b.queuePercent || compareTests(a, b));
+}
+
+function getMedian(sortedValues) {
+    const mid = Math.floor(sortedValues.length / 2);
+    return sortedValues.length % 2 === 1 ? sortedValues[mid] : (sortedValues[mid - 1] + sortedValues[mid]) / 2;
+}
+
+function showEventDetail(eventName) {
+    openEventName = eventName;
+    renderEventsPage();
+    document.getElementById('eventsPage').scrollTop = 0;
+}
+
+function hideEventDetail() {
+    openEventName = null;
+    renderEventsPage();
+}
+
+function renderEventDetail(event) {
+    const results = getEventResults(event.name);
+    const percents = results.map(t => t.queuePercent);
+
+    document.getElementById('eventDetailName').textContent = event.name;
+    document.getElementById('eventDetailSubtitle').textContent =
+        `${event.testCount} test${event.testCount !== 1 ? 's' : ''}, last on ${formatDateLong(event.lastDate)}. ` +
+        'Accounts tested more than once count with their best test.';
+    document.getElementById('eventDetailAccounts').textContent = results.length;
+    document.getElementById('eventDetailMin').textContent = percents[0].toFixed(1) + '%';
+    document.getElementById('eventDetailMedian').textContent = getMedian(percents).toFixed(1) + '%';
+    document.getElementById('eventDetailMax').textContent = percents[percents.length - 1].toFixed(1) + '%';
+
+    // Histogram of the accounts in each tier
+    const histogram = document.getElementById('eventHistogram');
+    histogram.innerHTML = '';
+    const counts = {};
+    results.forEach(t => {
+        const tier = getTestTier(t);
+        counts[tier.id] = (counts[tier.id] || 0) + 1;
+    });
+    const largest = Math.max(1, ...Object.values(counts));
+    settings.tiers.forEach((tier, i) => {
+        const count = counts[tier.id] || 0;
+        const row = document.createElement('div');
+        row.className = 'event-histogram-row';
+        row.innerHTML = `
+            <div class="event-histogram-label">${escapeHtml(tier.name)} <span>${escapeHtml(getTierRange(i))}</span></div>
+            <div class="event-histogram-track"><div class="event-histogram-fill"></div></div>
+            <div class="event-histogram-count">${count}</div>
+        `;
+        const fill = row.querySelector('.event-histogram-fill');
+        applyTierStyle(fill, tier);
+        fill.style.width = `${(count / largest) * 100}%`;
+        histogram.appendChild(row);
+    });
+
+    const body = document.getElementById('eventBestAccountsBody');
+    body.innerHTML = '';
+    results.slice(0, EVENT_BEST_LIMIT).forEach((test, i) => {
+        const row = document.createElement('tr');
+        row.className = 'event-row';
+        row.title = `Open ${test.email}'s timeline`;
+        const time = test.testingTime ? ` ${formatTime(test.testingTime)}` : '';
+        row.innerHTML = `
+            <td class="event-number">${i + 1}</td>
+            <td class="event-name">${escapeHtml(test.email)}</td>
+            <td>${escapeHtml(getAccountGroup(test.email) || '')}</td>
+            <td class="event-number">${formatDate(test.testingDate)}${time}</td>
+            <td class="event-number">${test.queueNumber.toLocaleString()}</td>
+            <td><span class="event-percent">${test.queuePercent.toFixed(1)}%</span></td>
+        `;
+        applyTierStyle(row.querySelector('.event-percent'), getTestTier(test));
+        row.onclick = () => {
+            navigateTo('home');
+            showTimeline(test.email);
+        };
+        body.appendChild(row);
+    });
+}
+
+function editEventAnchor(event) {
+    const message = `Set the queue anchor for "${event.name}". Queue % for all ${event.testCount} test${event.testCount !== 1 ? 's' : ''} will be recalculated. ` +
+        `It must be at least the highest queue number, ${event.maxQueue.toLocaleString()}.`;
+
+    showPromptModal('Edit Anchor', message, String(event.anchor !== null ? event.anchor : event.maxAnchor), 'Save', async (value) => {
+        const anchor = Number(value.replace(/,/g, ''));
+        if (!Number.isInteger(anchor) || anchor <= 0) return 'Enter a whole number greater than 0';
+        if (anchor > 10000000) return 'Queue anchor too large (max 10,000,000)';
+        if (anchor < event.maxQueue) return `Anchor cannot be less than the highest queue number (${event.maxQueue.toLocaleString()})`;
+
+        saveToHistory(`Set anchor for ${event.name}`);
+        const now = new Date().toISOString();
+        let count = 0;
+        allTests.forEach(t => {
+            if (t.eventName !== event.name) return;
+            t.queueAnchor = anchor;
+            t.anchorSource = 'edited';
+            t.modifiedAt = now;
+            count++;
+        });
+
+        recalculateAll();
+        await saveData();
+        renderTable();
+        renderEventsPage();
+        showToast(`Anchor for "${event.name}" set to ${anchor.toLocaleString()}; ${count} test${count !== 1 ? 's' : ''} recalculated`, 'success');
+    });
+}
+
+// ============================
+// WORKSPACES
+// ============================
+async function loadWorkspaces() {
+    const result = await api.listWorkspaces();
+    if (!result.success) {
+        showToast(`Could not load workspaces: ${result.error}`, 'error');
+        return;
+    }
+    workspaceState = { active: result.active, workspaces: result.workspaces };
+    renderWorkspaceSwitcher();
+}
+
+function getActiveWorkspace() {
+    return workspaceState.workspaces.find(w => w.id === workspaceState.active) || null;
+}
+
+function renderWorkspaceSwitcher() {
+    const workspace = getActiveWorkspace();
+    const name = workspace ? workspace.name : '';
+    document.getElementById('workspaceInitial').textContent = name.charAt(0).toUpperCase();
+    document.getElementById('workspaceName').textContent = name;
+    document.getElementById('workspaceBtn').title = `Workspace: ${name}`;
+}
+
+function showWorkspacesModal() {
+    renderWorkspaceList();
+    document.getElementById('workspacesModal').classList.add('visible');
+}
+
+function closeWorkspacesModal() {
+    document.getElementById('workspacesModal').classList.remove('visible');
+}
+
+function renderWorkspaceList() {
+    const container = document.getElementById('workspaceList');
+    container.innerHTML = '';
+
+    workspaceState.workspaces.forEach(workspace => {
+        const isActive = workspace.id === workspaceState.active;
+        const row = document.createElement('div');
+        row.className = 'import-history-row';
+        if (isActive) row.classList.add('selected');
+
+        const info = document.createElement('div');
+        info.className = 'import-history-info';
+
+        const name = document.createElement('div');
+        name.className = 'import-history-filename';
+        name.textContent = workspace.name;
+        info.appendChild(name);
+
+        const meta = document.createElement('div');
+        meta.className = 'import-history-meta';
+        meta.textContent = `${isActive ? 'Open now • ' : ''}Created ${new Date(workspace.createdAt).toLocaleDateString()}`;
+        info.appendChild(meta);
+        row.appendChild(info);
+
+        const actions = [
+            { label: 'Open', onclick: () => openWorkspace(workspace.id), hidden: isActive },
+            { label: 'Rename', onclick: () => renameWorkspace(workspace) },
+            { label: 'Duplicate', onclick: () => duplicateWorkspace(workspace) }
+        ];
+        actions.filter(a => !a.hidden).forEach(action => {
+            const btn = document.createElement('button');
+            btn.className = 'import-refresh-btn';
+            btn.textContent = action.label;
+            btn.onclick = action.onclick;
+            row.appendChild(btn);
+        });
+
+        if (workspaceState.workspaces.length > 1) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'import-remove-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => deleteWorkspace(workspace);
+            row.appendChild(deleteBtn);
+        }
+
+        container.appendChild(row);
+    });
+}
+
+// Switching reloads the window, so the workspace starts from a clean state
+// with its own settings, data and undo history
+async function openWorkspace(id) {
+    if (isImporting) {
+        showToast('Wait for the import to finish before switching workspaces', 'error');
+        return;
+    }
+    const result = await api.openWorkspace(id);
+    if (!result.success) {
+        showToast(`Could not open workspace: ${result.error}`, 'error');
+        return;
+    }
+    window.location.reload();
+}
+
+function createWorkspace() {
+    showPromptModal('New Workspace', 'The new workspace starts empty, with default settings.', '', 'Create', async (name) => {
+        const result = await api.createWorkspace(name);
+        if (!result.success) return result.error;
+        openWorkspace(result.workspace.id);
+    });
+}
+
+function renameWorkspace(workspace) {
+    showPromptModal('Rename Workspace', `Enter a new name for "${workspace.name}".`, workspace.name, 'Rename', async (name) => {
+        const result = await api.renameWorkspace(workspace.id, name);
+        if (!result.success) return result.error;
+        await loadWorkspaces();
+        renderWorkspaceList();
+    });
+}
+
+function duplicateWorkspace(workspace) {
+    const message = `Copy the tests, imports, groups and settings of "${workspace.name}" into a new workspace. Backups are not copied.`;
+    showPromptModal('Duplicate Workspace', message, `${workspace.name} copy`, 'Duplicate', async (name) => {
+        const result = await api.duplicateWorkspace(workspace.id, name);
+        if (!result.success) return result.error;
+        await loadWorkspaces();
+        renderWorkspaceList();
+        showToast(`Created "${result.workspace.name}"`, 'success');
+    });
+}
+
+function deleteWorkspace(workspace) {
+    showConfirmModal(
+        'Delete Workspace',
+        `Are you sure you want to delete "${workspace.name}"? Its tests, imports, settings and backups are permanently removed.`,
+        'Delete Workspace',
+        async () => {
+            const result = await api.deleteWorkspace(workspace.id);
+            if (!result.success) {
+                showToast(`Could not delete workspace: ${result.error}`, 'error');
+                return;
+            }
+            if (workspace.id === workspaceState.active) {
+                window.location.reload();
+                return;
+            }
+            await loadWorkspaces();
+            renderWorkspaceList();
+            showToast(`Deleted "${workspace.name}"`, 'success');
+        }
+    );
+}
+
+// ============================
+// WORKSPACE BUNDLES
+// ============================
+const BUNDLE_FORMAT = 'queuetrack-workspace';
+// Settings that only make sense on the machine they were made on
+const LOCAL_ONLY_SETTINGS = ['watchFolders'];
+
+function buildWorkspaceBundle() {
+    const bundleSettings = { ...settings };
+    LOCAL_ONLY_SETTINGS.forEach(key => delete bundleSettings[key]);
+    const workspace = getActiveWorkspace();
+    return {
+        format: BUNDLE_FORMAT,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        workspace: workspace ? workspace.name : null,
+        data: {
+            tests: allTests.map(getStoredTest),
+            imports: importHistory,
+            importedHashes
+        },
+        settings: bundleSettings
+    };
+}
+
+async function exportWorkspace() {
+    const workspace = getActiveWorkspace();
+    const baseName = (workspace ? workspace.name : 'workspace').replace(/[^\w\- ]+/g, '').trim() || 'workspace';
+    const date = new Date().toISOString().slice(0, 10);
+    const result = await api.saveWorkspaceBundle(`${baseName}-${date}.qtworkspace`, JSON.stringify(buildWorkspaceBundle()));
+    if (result.success) {
+        showToast(`Exported ${allTests.length} tests to ${result.filePath}` +
+            (result.encrypted ? ', encrypted with this workspace\'s passphrase' : ''), 'success');
+    } else if (result.error) {
+        showToast(`Export failed: ${result.error}`, 'error');
+    }
+}
+
+// Checks a parsed bundle and brings its data up to the current schema.
+// Returns { bundle } or { error }.
+function validateWorkspaceBundle(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        return { error: 'This file is not a QueueTrack workspace export' };
+    }
+    const schemaVersion = bundle.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+        return { error: 'The workspace export has no valid schema version' };
+    }
+    if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+        return { error: `This export was made by a newer version of QueueTrack (schema v${schemaVersion}, this version reads up to v${CURRENT_SCHEMA_VERSION}). Update QueueTrack to import it.` };
+    }
+    if (!bundle.data || !Array.isArray(bundle.data.tests)) {
+        return { error: 'The workspace export has no test data' };
+    }
+
+    // Tests that fail validation are left out rather than refusing the file, since the
+    // workspace it came from may hold rows saved before validation was as strict
+    const tests = [];
+    const skippedTests = [];
+    bundle.data.tests.forEach((test, i) => {
+        const wellFormed = test && typeof test.email === 'string' && typeof test.testingDate === 'string' &&
+            typeof test.eventName === 'string' && typeof test.queueNumber === 'number';
+        const testErrors = wellFormed ? validateTestData(test) : ['Missing or malformed fields'];
+        if (testErrors.length > 0) skippedTests.push(`Test ${i + 1}: ${testErrors[0]}`);
+        else tests.push(test);
+    });
+
+    const data = migrateData({
+        version: schemaVersion,
+        tests,
+        imports: Array.isArray(bundle.data.imports) ? bundle.data.imports : [],
+        importedHashes: Array.isArray(bundle.data.importedHashes) ? bundle.data.importedHashes : []
+    });
+    // Tests are stored by ID, so one that is missing or repeated in an edited file gets a new one
+    const seenIds = new Set();
+    data.tests.forEach(test => {
+        if (typeof test.id !== 'string' || !test.id || seenIds.has(test.id)) test.id = generateId();
+        seenIds.add(test.id);
+    });
+    const checked = checkBundleSettings(bundle.settings);
+    return { bundle: { ...bundle, data, settings: checked.settings, skippedTests, skippedSettings: checked.skipped } };
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
 
-        // Group badge
-        const groupName = getAccountGroup(account.email);
-        if (groupName) {
-            const groupBadge = document.createElement('span');
-            groupBadge.className = 'badge group-badge';
-            groupBadge.textContent = groupName;
-            emailDiv.appendChild(groupBadge);
-        }
+// Keeps the settings in a bundle that pass the same checks the Settings page makes.
+// Returns { settings, skipped } with the names of settings left out.
+function checkBundleSettings(bundleSettings) {
+    const checks = {
+        darkMode: value => typeof value === 'boolean',
+        rowSize: value => Object.prototype.hasOwnProperty.call(ROW_SIZES, value),
+        duplicatePolicy: value => ['skip', 'overwrite', 'keep'].includes(value),
+        dateFormat: value => value === 'auto' || Object.prototype.hasOwnProperty.call(DATE_ORDER_LABELS, value),
+        projectionThreshold: value => Number.isFinite(value) && value >= 0 && value <= 100,
+        backupRetention: value => isPlainObject(value) && Object.entries(value).every(([kind, count]) =>
+            Object.prototype.hasOwnProperty.call(settings.backupRetention, kind) && Number.isInteger(count) && count >= 0 && count <= 999),
+        columnMappings: value => isPlainObject(value) && Object.values(value).every(isPlainObject),
+        groups: value => {
+            if (!isPlainObject(value)) return false;
+            const checked = {};
+            return Object.entries(value).every(([name, emails]) => {
+                if (validateGroupName(name, checked) || !Array.isArray(emails) || !emails.every(email => typeof email === 'string')) return false;
+                checked[name] = emails;
+                return true;
+            });
+        },
+        tiers: value => Array.isArray(value) && value.length > 0 && value.every((tier, i) =>
+            isPlainObject(tier) && typeof tier.id === 'string' && tier.id !== '' &&
+            typeof tier.badge === 'boolean' && typeof tier.alert === 'boolean' &&
+            !value.slice(0, i).some(t => t.id === tier.id) && !validateTier(tier, value.slice(0, i)))
+    };
 
-        if (window.bestEmail && account.email === window.bestEmail) {
-            const badge = document.createElement('span');
-            badge.className = 'badge best';
-            badge.textContent = 'Best';
-            emailDiv.appendChild(badge);
-        }
+    const result = {};
+    const skipped = [];
+    if (!isPlainObject(bundleSettings)) return { settings: result, skipped };
+    Object.entries(checks).forEach(([key, check]) => {
+        if (!(key in bundleSettings) || LOCAL_ONLY_SETTINGS.includes(key)) return;
+        if (check(bundleSettings[key])) result[key] = bundleSettings[key];
+        else skipped.push(key);
+    });
+    if (result.tiers) {
+        result.tiers = sortTiers(result.tiers.map(({ id, name, max, minAnchor, color, badge, alert }) =>
+            ({ id, name, max, minAnchor, color, badge, alert })));
+    }
+    return { settings: result, skipped };
+}
 
-        if (hasJuice(account)) {
-            const badge = document.createElement('span');
-            badge.className = 'badge juice';
-            badge.textContent = 'Juice';
-            emailDiv.appendChild(badge);
-        }
+async function importWorkspace() {
+    const result = await api.openWorkspaceBundle();
+    if (result.needsPassphrase) {
+        // Exported from a workspace with a different passphrase
+        showPromptModal('Encrypted Export', 'This export is encrypted. Enter the passphrase of the workspace it was exported from.', '', 'Open', async (passphrase) => {
+            if (!passphrase) return 'Enter the passphrase';
+            const retry = await api.openWorkspaceBundle(result.filePath, passphrase);
+            if (!retry.success) return retry.error || 'Could not read the workspace export';
+            showBundleImport(retry.content);
+            return null;
+        }, 'password');
+        return;
+    }
+    if (!result.success) {
+        if (result.error) showToast(`Could not read workspace export: ${result.error}`, 'error');
+        return;
+    }
+    showBundleImport(result.content);
+}
 
-        const btn = document.createElement('button');
-        btn.className = 'view-all-btn';
-        btn.textContent = 'Timeline';
-        btn.dataset.email = account.email;
-        emailDiv.appendChild(btn);
+function showBundleImport(content) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        showToast('This file is not a QueueTrack workspace export', 'error');
+        return;
+    }
+    const checked = validateWorkspaceBundle(parsed);
+    if (checked.error) {
+        showToast(checked.error, 'error');
+        return;
+    }
 
-        // Add to Group button
-        const groupAddBtn = document.createElement('button');
-        groupAddBtn.className = 'view-all-btn group-add-quick';
-        groupAddBtn.textContent = groupName ? '\u270E' : '+';
-        groupAddBtn.title = groupName ? 'Change group' : 'Add to group';
-        groupAddBtn.dataset.email = account.email;
-        groupAddBtn.onclick = (e) => {
-            e.stopPropagation();
-            showQuickGroupPicker(account.email);
-        };
-        emailDiv.appendChild(groupAddBtn);
+    pendingBundle = checked.bundle;
+    const { data, workspace, exportedAt } = pendingBundle;
+    const accounts = new Set(data.tests.map(t => t.email)).size;
+    const from = workspace ? `"${workspace}"` : 'a workspace';
+    document.getElementById('bundleImportSummary').textContent =
+        `This file holds ${from}, exported ${new Date(exportedAt).toLocaleString()}: ` +
+        `${accounts} account${accounts !== 1 ? 's' : ''}, ${data.tests.length} test${data.tests.length !== 1 ? 's' : ''} ` +
+        `and ${data.imports.length} import${data.imports.length !== 1 ? 's' : ''}. ` +
+        'Replace swaps this workspace\'s data and settings for it. Merge adds its tests, imports and groups to this workspace.';
+
+    const { skippedTests, skippedSettings } = pendingBundle;
+    const problems = [];
+    if (skippedTests.length > 0) {
+        const more = skippedTests.length > 3 ? ` (and ${skippedTests.length - 3} more)` : '';
+        problems.push(`${skippedTests.length} invalid test${skippedTests.length !== 1 ? 's are' : ' is'} left out: ` +
+            `${skippedTests.slice(0, 3).join('; ')}${more}. Run Check Data in the workspace it came from and export it again to include them.`);
+    }
+    if (skippedSettings.length > 0) {
+        problems.push(`Invalid settings are left out: ${skippedSettings.join(', ')}.`);
+    }
+    document.getElementById('bundleImportProblems').textContent = problems.join(' ');
+    document.getElementById('bundleImportModal').classList.add('visible');
+}
 
-        emailCell.appendChild(emailDiv);
+function closeBundleImportModal() {
+    pendingBundle = null;
+    document.getElementById('bundleImportModal').classList.remove('visible');
+}
 
-        // Change cell
-        const changeCell = row.insertCell();
-        const change = getOverallChange(account.email);
-        const span = document.createElement('span');
-        span.className = 'change-cell ' + (change === null ? 'no-change' : change > 0 ? 'improved' : 'declined');
-        span.textContent = change === null ? 'N/A' : (change >= 0 ? '+' : '') + change.toFixed(1) + '%';
-        changeCell.appendChild(span);
+// Replaces the workspace's data and settings with the bundle's. The window reloads
+// afterwards so every setting takes effect.
+async function replaceWithBundle() {
+    const bundle = pendingBundle;
+    closeBundleImportModal();
+    if (!bundle) return;
+
+    await backupBeforeChange('clear', 'Before replacing with a workspace export');
+    allTests = bundle.data.tests;
+    importHistory = bundle.data.imports;
+    importedHashes = bundle.data.importedHashes;
+    settings = { ...settings, ...bundle.settings };
+
+    await saveAllData();
+    await saveSettings();
+    window.location.reload();
+}
 
-        // Test cells
-        const recent = account.tests.slice(0, 5);
-        for (let i = 0; i < 5; i++) {
-            const cell = row.insertCell();
-            if (i < recent.length) cell.appendChild(createTestCell(recent[i], account.email));
+// Adds the bundle's tests, imports and groups to the workspace in one undo step.
+// Tests already here (same ID) keep whichever version was edited last; other tests
+// go through the duplicate policy like an import.
+async function mergeBundle() {
+    const bundle = pendingBundle;
+    closeBundleImportModal();
+    if (!bundle) return;
+
+    await backupBeforeChange('import', 'Before merging a workspace export');
+    saveToHistory(bundle.workspace ? `Merged workspace "${bundle.workspace}"` : 'Merged a workspace export');
+
+    let updated = 0;
+    let unchanged = 0;
+    const newTests = [];
+    const indexById = new Map(allTests.map((test, i) => [test.id, i]));
+    bundle.data.tests.forEach(test => {
+        const index = indexById.get(test.id);
+        if (index === undefined) {
+            newTests.push(test);
+        } else if ((test.modifiedAt || '') > (allTests[index].modifiedAt || '')) {
+            allTests[index] = test;
+            updated++;
+        } else {
+            unchanged++;
         }
     });
+    const merge = mergeTests(newTests, settings.duplicatePolicy);
 
-    if (hasMore) {
-        const row = tbody.insertRow();
-        const cell = row.insertCell();
-        cell.colSpan = 7;
-        cell.style.textAlign = 'center';
-        cell.style.padding = '20px';
+    const importIds = new Set(importHistory.map(imp => imp.id));
+    bundle.data.imports.forEach(imp => {
+        if (!importIds.has(imp.id)) importHistory.push(imp);
+    });
+    const knownHashes = new Set(importedHashes);
+    bundle.data.importedHashes.forEach(hash => {
+        if (!knownHashes.has(hash)) importedHashes.push(hash);
+    });
+    syncImportCounts();
 
-        const remaining = data.length - visibleRowCount;
-        const btn = document.createElement('button');
-        btn.className = 'show-more-btn';
-        btn.textContent = `Show ${Math.min(ROW_INCREMENT, remaining)} More (${remaining} remaining)`;
-        btn.onclick = () => {
-            visibleRowCount += ROW_INCREMENT;
-            renderTable();
-        };
-        cell.appendChild(btn);
-    }
+    // An account stays in the group it's already in here
+    if (!settings.groups) settings.groups = {};
+    Object.entries(bundle.settings.groups || {}).forEach(([name, emails]) => {
+        const added = emails.filter(email => !getAccountGroup(email));
+        if (added.length === 0) return;
+        settings.groups[name] = [...(settings.groups[name] || []), ...added];
+    });
+    settings.columnMappings = { ...bundle.settings.columnMappings, ...settings.columnMappings };
 
-    updateStats(allTests);
-    updateBestQueuesStrip();
+    recalculateAll();
+    await saveData();
+    await saveSettings();
+    renderTable();
+    renderGroupFilterChips();
+    if (currentPage === 'events') renderEventsPage();
 
-    if (data.length > INITIAL_ROW_LIMIT) {
-        console.log(`Performance: Showing ${visibleData.length} of ${data.length} accounts`);
-    }
+    const skipped = newTests.length - merge.added;
+    showToast(`Merged workspace export: ${merge.added} tests added, ${updated} updated` +
+        (unchanged + skipped > 0 ? `, ${unchanged + skipped} already here` : ''), 'success');
+}
 
-    // Trigger number animations and glow effects after DOM update
-    requestAnimationFrame(() => {
-        animateQueueNumbers();
-        applyGlowEffects();
+// ============================
+// ENCRYPTION
+// ============================
+// Encrypted workspaces stay on the loading screen until the passphrase is entered
+async function unlockWorkspace() {
+    const status = await api.getEncryptionStatus();
+    if (!status.success) throw new Error(status.error);
+    encryptionEnabled = status.enabled;
+    renderEncryptionSettings();
+    if (status.unlocked) return;
+
+    const workspace = getActiveWorkspace();
+    document.getElementById('unlockWorkspaceName').textContent = workspace ? workspace.name : 'This workspace';
+    renderUnlockWorkspaceSelect();
+
+    const screen = document.getElementById('loadingScreen');
+    const input = document.getElementById('unlockPassphrase');
+    const btn = document.getElementById('unlockBtn');
+    const error = document.getElementById('unlockError');
+    screen.classList.add('locked');
+    input.focus();
+
+    await new Promise(resolve => {
+        const submit = async () => {
+            if (!input.value) {
+                error.textContent = 'Enter the passphrase';
+                return;
+            }
+            btn.disabled = true;
+            error.textContent = '';
+            const result = await api.unlockWorkspace(input.value);
+            btn.disabled = false;
+            if (!result.success) {
+                error.textContent = result.error === 'Wrong passphrase' ? 'Wrong passphrase. Try again.' : result.error;
+                input.select();
+                return;
+            }
+            input.value = '';
+            resolve();
+        };
+        btn.onclick = submit;
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') submit();
+        };
     });
+    screen.classList.remove('locked');
 }
 
-function createTestCell(test, email) {
-    const div = document.createElement('div');
-    div.className = 'test-cell ' + getColorClass(test.queuePercent);
-    div.style.minWidth = '100px';
-    div.dataset.email = email;
-    div.dataset.testData = JSON.stringify(test);
+// Lets a forgotten passphrase be worked around by opening another workspace
+function renderUnlockWorkspaceSelect() {
+    const select = document.getElementById('unlockWorkspaceSelect');
+    select.innerHTML = '';
+    select.style.display = workspaceState.workspaces.length > 1 ? '' : 'none';
+
+    const current = document.createElement('option');
+    current.value = '';
+    current.textContent = 'Open another workspace...';
+    select.appendChild(current);
+    workspaceState.workspaces.filter(w => w.id !== workspaceState.active).forEach(workspace => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        select.appendChild(option);
+    });
+    select.onchange = () => {
+        if (select.value) openWorkspace(select.value);
+    };
+}
 
-    const info = document.createElement('span');
-    info.className = 'info-icon';
-    info.textContent = 'i';
-    div.appendChild(info);
+function renderEncryptionSettings() {
+    document.getElementById('encryptionStatus').textContent = encryptionEnabled
+        ? 'This workspace is encrypted. Its data, settings, backups and exports can only be read with the passphrase, which is asked for at startup.'
+        : 'Encrypt this workspace\'s data, settings, backups and exports with a passphrase. It is asked for at startup and can\'t be recovered if forgotten.';
+    document.getElementById('enableEncryptionBtn').style.display = encryptionEnabled ? 'none' : '';
+    document.getElementById('changePassphraseBtn').style.display = encryptionEnabled ? '' : 'none';
+    document.getElementById('disableEncryptionBtn').style.display = encryptionEnabled ? '' : 'none';
+}
 
-    const nums = document.createElement('div');
-    nums.className = 'queue-numbers';
-    nums.textContent = formatNum(test.queueNumber) + '/' + formatNum(test.queueAnchor);
-    div.appendChild(nums);
+// mode: 'enable' | 'change' | 'disable'
+function showPassphraseModal(mode) {
+    passphraseMode = mode;
+    const text = {
+        enable: ['Turn On Encryption', 'Choose a passphrase of at least 8 characters. Keep it safe: without it this workspace can\'t be opened.', 'Encrypt'],
+        change: ['Change Passphrase', 'Everything in this workspace is encrypted again with the new passphrase. Exports made before keep the old one.', 'Change'],
+        disable: ['Turn Off Encryption', 'This workspace\'s data, settings and backups will be stored unencrypted.', 'Turn Off']
+    }[mode];
+    document.getElementById('passphraseTitle').textContent = text[0];
+    document.getElementById('passphraseMessage').textContent = text[1];
+    document.getElementById('passphraseSaveBtn').textContent = text[2];
+    document.getElementById('passphraseCurrentItem').style.display = mode === 'enable' ? 'none' : '';
+    document.getElementById('passphraseNewItem').style.display = mode === 'disable' ? 'none' : '';
+    document.getElementById('passphraseConfirmItem').style.display = mode === 'disable' ? 'none' : '';
+    ['passphraseCurrent', 'passphraseNew', 'passphraseConfirm'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('passphraseError').textContent = '';
 
-    const pct = document.createElement('div');
-    pct.className = 'queue-percent';
-    pct.dataset.targetValue = test.queuePercent.toFixed(1);
-    pct.textContent = '0.0%';
-    div.appendChild(pct);
+    document.getElementById('passphraseModal').classList.add('visible');
+    document.getElementById(mode === 'enable' ? 'passphraseNew' : 'passphraseCurrent').focus();
+}
 
-    return div;
+function closePassphraseModal() {
+    passphraseMode = null;
+    document.getElementById('passphraseModal').classList.remove('visible');
 }
 
-// Animate all queue-percent elements that haven't been animated yet
-function animateQueueNumbers() {
-    const els = document.querySelectorAll('.queue-percent[data-target-value]');
-    els.forEach(el => {
-        const target = parseFloat(el.dataset.targetValue);
-        if (isNaN(target)) return;
-        el.removeAttribute('data-target-value');
-        const duration = 600; // ms
-        const startTime = performance.now();
-        function tick(now) {
-            const elapsed = now - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            // ease-out cubic
-            const eased = 1 - Math.pow(1 - progress, 3);
-            const current = (target * eased).toFixed(1);
-            el.textContent = current + '%';
-            if (progress < 1) {
-                requestAnimationFrame(tick);
-            } else {
-                el.textContent = target.toFixed(1) + '%';
-            }
+async function submitPassphraseForm() {
+    if (!passphraseMode) return;
+    const mode = passphraseMode;
+    const current = document.getElementById('passphraseCurrent').value;
+    const next = document.getElementById('passphraseNew').value;
+    const error = document.getElementById('passphraseError');
+
+    if (mode !== 'enable' && !current) {
+        error.textContent = 'Enter the current passphrase';
+        return;
+    }
+    if (mode !== 'disable') {
+        if (next.length < 8) {
+            error.textContent = 'The new passphrase must be at least 8 characters';
+            return;
         }
-        requestAnimationFrame(tick);
-    });
+        if (next !== document.getElementById('passphraseConfirm').value) {
+            error.textContent = 'The new passphrases don\'t match';
+            return;
+        }
+    }
+
+    showLoadingOverlay(mode === 'disable' ? 'Decrypting workspace...' : 'Encrypting workspace...');
+    const result = await api.changePassphrase(mode === 'enable' ? null : current, mode === 'disable' ? null : next);
+    hideLoadingOverlay();
+    if (!result.success) {
+        error.textContent = result.error;
+        return;
+    }
+
+    encryptionEnabled = result.enabled;
+    renderEncryptionSettings();
+    closePassphraseModal();
+    showToast({
+        enable: 'Encryption turned on',
+        change: 'Passphrase changed',
+        disable: 'Encryption turned off'
+    }[mode], 'success');
 }
 
-// Apply glow pulse to instants and juice cells
-function applyGlowEffects() {
-    document.querySelectorAll('.test-cell.instants, .test-cell.juice').forEach(cell => {
-        cell.classList.add('glow-pulse');
-        cell.addEventListener('animationend', () => {
-            cell.classList.remove('glow-pulse');
-        }, { once: true });
+// ============================
+// BACKUPS
+// ============================
+const BACKUP_DIFF_LIMIT = 20; // Tests listed per section of a backup diff
+
+// Backs up the stored data before an import, clear or restore. A failed backup is
+// reported but doesn't block the change.
+async function backupBeforeChange(kind, label) {
+    const result = await api.createBackup(kind, label);
+    if (!result.success) {
+        showToast(`Could not back up data first: ${result.error}`, 'error');
+    }
+}
+
+function renderBackupRetention() {
+    const retention = settings.backupRetention || {};
+    document.querySelectorAll('.backup-retention-input').forEach(input => {
+        input.value = retention[input.dataset.kind] ?? '';
     });
 }
 
-// Synthesize a satisfying "ding" sound via Web Audio API
-function playDingSound() {
-    try {
-        const ctx = new (window.AudioContext || window.webkitAudioContext)();
-        const osc = ctx.createOscillator();
-        const gain = ctx.createGain();
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(880, ctx.currentTime); // A5
-        osc.frequency.exponentialRampToValueAtTime(1320, ctx.currentTime + 0.08); // E6
-        gain.gain.setValueAtTime(0.3, ctx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.4);
-        osc.connect(gain);
-        gain.connect(ctx.destination);
-        osc.start(ctx.currentTime);
-        osc.stop(ctx.currentTime + 0.4);
-    } catch (e) {
-        // Audio not available, skip silently
+async function applyBackupRetention() {
+    const result = await api.setBackupRetention(settings.backupRetention || {});
+    if (result && !result.success) {
+        showToast(`Could not apply backup retention: ${result.error}`, 'error');
     }
 }
 
-// Check if any accounts crossed into instants/juice since last render
-function checkSoundTriggers() {
-    const groups = {};
-    allTests.forEach(t => {
-        if (!groups[t.email]) groups[t.email] = [];
-        groups[t.email].push(t);
-    });
+async function setBackupRetention(kind, value) {
+    const count = Math.max(0, Math.min(999, parseInt(value, 10) || 0));
+    if (settings.backupRetention && settings.backupRetention[kind] === count) {
+        renderBackupRetention();
+        return;
+    }
+    saveToHistory(`Set ${kind} backups kept to ${count}`);
+    settings.backupRetention = { ...settings.backupRetention, [kind]: count };
+    renderBackupRetention();
+    await saveSettings();
+    await applyBackupRetention();
+}
 
-    let shouldDing = false;
-    for (const email in groups) {
-        const tests = groups[email].sort((a, b) => new Date(b.testingDate) - new Date(a.testingDate));
-        const currentBest = tests[0].queuePercent;
-        const prevBest = previousBestByEmail[email];
+function showBackupsModal() {
+    loadedBackup = null;
+    document.getElementById('backupDiff').innerHTML = '';
+    document.getElementById('backupsModal').classList.add('visible');
+    renderBackupList();
+}
 
-        // Ding if: account's latest test is <=10% AND it wasn't there before
-        if (currentBest <= 10 && (prevBest === undefined || prevBest > 10)) {
-            shouldDing = true;
-        }
-        previousBestByEmail[email] = currentBest;
+function closeBackupsModal() {
+    document.getElementById('backupsModal').classList.remove('visible');
+    loadedBackup = null;
+}
+
+async function renderBackupList() {
+    const container = document.getElementById('backupList');
+    const result = await api.listBackups();
+    container.innerHTML = '';
+
+    if (!result.success) {
+        showToast(`Could not list backups: ${result.error}`, 'error');
+        return;
+    }
+    if (result.backups.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'import-history-empty';
+        empty.textContent = 'No backups yet. One is taken after your first save.';
+        container.appendChild(empty);
+        return;
     }
 
-    if (shouldDing) {
-        playDingSound();
+    result.backups.forEach(backup => {
+        const row = document.createElement('div');
+        row.className = 'import-history-row';
+        if (loadedBackup && loadedBackup.meta.id === backup.id) row.classList.add('selected');
+
+        const info = document.createElement('div');
+        info.className = 'import-history-info';
+
+        const label = document.createElement('div');
+        label.className = 'import-history-filename';
+        label.textContent = backup.label;
+        label.title = backup.label;
+        info.appendChild(label);
+
+        const meta = document.createElement('div');
+        meta.className = 'import-history-meta';
+        meta.textContent = `${new Date(backup.createdAt).toLocaleString()} • ` +
+            `${backup.accounts} account${backup.accounts !== 1 ? 's' : ''}, ${backup.tests} test${backup.tests !== 1 ? 's' : ''}`;
+        info.appendChild(meta);
+        row.appendChild(info);
+
+        const compareBtn = document.createElement('button');
+        compareBtn.className = 'import-refresh-btn';
+        compareBtn.textContent = 'Compare';
+        compareBtn.title = 'Show how this backup differs from the current data';
+        compareBtn.onclick = () => compareBackup(backup.id);
+        row.appendChild(compareBtn);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'import-remove-btn';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.onclick = () => restoreBackup(backup.id);
+        row.appendChild(restoreBtn);
+
+        container.appendChild(row);
+    });
+}
+
+// Reads a backup, bringing its data up to the current schema. Keeps the last one read
+// so comparing and then restoring reads it once.
+async function loadBackup(id) {
+    if (loadedBackup && loadedBackup.meta.id === id) return loadedBackup;
+
+    const result = await api.readBackup(id);
+    if (!result.success) {
+        showToast(`Could not read backup: ${result.error}`, 'error');
+        return null;
     }
+    loadedBackup = { meta: result.meta, data: migrateData(result.data) };
+    return loadedBackup;
 }
 
-// Best Queues strip: sorted by best (lowest) queue%, bottom-to-top
-function updateBestQueuesStrip() {
-    const strip = document.getElementById('bestQueuesStrip');
-    const list = document.getElementById('bestQueuesList');
-    if (!strip || !list) return;
+async function compareBackup(id) {
+    const backup = await loadBackup(id);
+    if (!backup) return;
+    renderBackupDiff(backup, diffBackupTests(backup.data.tests));
+    renderBackupList();
+}
 
-    // Group tests by email, get each account's best (most recent) queue%
-    const groups = {};
-    allTests.forEach(t => {
-        if (!groups[t.email]) groups[t.email] = [];
-        groups[t.email].push(t);
+// Compares a backup's tests with the current ones by ID: the tests restoring would bring
+// back, those it would remove, and those it would change back to an earlier version
+function diffBackupTests(backupTests) {
+    const current = new Map(allTests.map(t => [t.id, t]));
+    const restored = [];
+    const reverted = [];
+    backupTests.forEach(test => {
+        const existing = current.get(test.id);
+        if (!existing) {
+            restored.push(test);
+            return;
+        }
+        if (JSON.stringify(getStoredTest(existing)) !== JSON.stringify(test)) {
+            reverted.push({ current: existing, backup: test });
+        }
+        current.delete(test.id);
     });
+    return { restored, removed: [...current.values()], reverted };
+}
+
+function describeBackupTest(test) {
+    const time = test.testingTime ? ` ${formatTime(test.testingTime)}` : '';
+    return `${test.email} • ${formatDate(test.testingDate)}${time} • ${test.eventName} • #${test.queueNumber.toLocaleString()}`;
+}
+
+function renderBackupDiff(backup, diff) {
+    const container = document.getElementById('backupDiff');
+    container.innerHTML = '';
 
-    const accounts = [];
-    for (const email in groups) {
-        const tests = groups[email].sort((a, b) => new Date(b.testingDate) - new Date(a.testingDate));
-        accounts.push({ email, queuePercent: tests[0].queuePercent });
+    const title = document.createElement('div');
+    title.className = 'backup-diff-title';
+    title.textContent = `${backup.meta.label}, ${new Date(backup.meta.createdAt).toLocaleString()}`;
+    container.appendChild(title);
+
+    const summary = document.createElement('div');
+    summary.className = 'backup-diff-summary';
+    const importsNow = importHistory.length;
+    const importsThen = backup.data.imports.length;
+    if (diff.restored.length + diff.removed.length + diff.reverted.length === 0) {
+        summary.textContent = 'The tests in this backup match the current data.';
+    } else {
+        summary.textContent = `Restoring it would bring back ${diff.restored.length} test${diff.restored.length !== 1 ? 's' : ''}, ` +
+            `remove ${diff.removed.length} and change ${diff.reverted.length} back to an earlier version.`;
     }
+    if (importsNow !== importsThen) {
+        summary.textContent += ` Import history goes from ${importsNow} to ${importsThen} import${importsThen !== 1 ? 's' : ''}.`;
+    }
+    container.appendChild(summary);
+
+    const sections = [
+        { label: 'Brought back', className: 'added', items: diff.restored.map(describeBackupTest) },
+        { label: 'Removed', className: 'removed', items: diff.removed.map(describeBackupTest) },
+        {
+            label: 'Changed back',
+            className: 'changed',
+            items: diff.reverted.map(({ current, backup: old }) => {
+                const queue = current.queueNumber !== old.queueNumber
+                    ? ` (#${current.queueNumber.toLocaleString()} → #${old.queueNumber.toLocaleString()})`
+                    : '';
+                return describeBackupTest(old) + queue;
+            })
+        }
+    ];
+    sections.filter(s => s.items.length > 0).forEach(section => {
+        const heading = document.createElement('div');
+        heading.className = `backup-diff-heading ${section.className}`;
+        heading.textContent = `${section.label} (${section.items.length})`;
+        container.appendChild(heading);
+
+        section.items.slice(0, BACKUP_DIFF_LIMIT).forEach(text => {
+            const item = document.createElement('div');
+            item.className = 'backup-diff-item';
+            item.textContent = text;
+            container.appendChild(item);
+        });
+        if (section.items.length > BACKUP_DIFF_LIMIT) {
+            const more = document.createElement('div');
+            more.className = 'backup-diff-item more';
+            more.textContent = `and ${section.items.length - BACKUP_DIFF_LIMIT} more`;
+            container.appendChild(more);
+        }
+    });
+}
 
-    // Sort by best queue (lowest %) — best at bottom due to column-reverse
-    accounts.sort((a, b) => a.queuePercent - b.queuePercent);
+async function restoreBackup(id) {
+    const backup = await loadBackup(id);
+    if (!backup) return;
+    const { meta, data } = backup;
 
-    // Only show top 10
-    const top = accounts.slice(0, 10);
+    showConfirmModal(
+        'Restore Backup',
+        `Replace the current data with "${meta.label}" from ${new Date(meta.createdAt).toLocaleString()} ` +
+        `(${meta.accounts} accounts, ${meta.tests} tests)? The current data is backed up first.`,
+        'Restore',
+        async () => {
+            await backupBeforeChange('clear', 'Before restoring a backup');
+            saveToHistory(`Restored backup "${meta.label}"`);
 
-    if (top.length === 0) {
-        strip.style.display = 'none';
-        return;
-    }
+            allTests = data.tests;
+            importHistory = data.imports || [];
+            importedHashes = data.importedHashes || [];
 
-    strip.style.display = 'block';
-    list.innerHTML = '';
+            recalculateAll();
+            await saveData();
+            renderTable();
+            if (currentPage === 'events') renderEventsPage();
+            closeBackupsModal();
+            showToast(`Restored the backup from ${new Date(meta.createdAt).toLocaleString()}`, 'success');
+        }
+    );
+}
 
-    top.forEach((account, i) => {
-        const item = document.createElement('div');
-        item.className = 'best-queue-item';
-        // Only 1-5% is "great"
-        if (account.queuePercent >= 1 && account.queuePercent <= 5) {
-            item.classList.add('great');
+// ============================
+// DATA CHECK
+// ============================
+const DATA_CHECK_LIMIT = 20; // Problems listed per kind; the rest are counted
+
+// Finds data in states the app no longer lets in, mostly left from older versions:
+//   anchors  - tests whose anchor is below their queue number
+//   dates    - tests whose date was kept raw; fixedDate is null if it still can't be read
+//   groups   - group entries for accounts that have no tests
+//   imports  - import IDs of tests that aren't in the import history, with their tests
+function findDataProblems() {
+    const order = settings.dateFormat !== 'auto' ? settings.dateFormat : null;
+    const importIds = new Set(importHistory.map(imp => imp.id));
+    const emails = new Set(allTests.map(t => t.email));
+    const problems = { anchors: [], dates: [], groups: [], imports: new Map() };
+
+    allTests.forEach(test => {
+        if (test.queueAnchor !== null && test.queueAnchor < test.queueNumber) problems.anchors.push(test);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(test.testingDate) || !isValidDate(test.testingDate)) {
+            problems.dates.push({ test, fixedDate: normalizeDate(test.testingDate, order) });
         }
-        item.style.animationDelay = (i * 0.06) + 's';
+        if (test.importId && !importIds.has(test.importId)) {
+            if (!problems.imports.has(test.importId)) problems.imports.set(test.importId, []);
+            problems.imports.get(test.importId).push(test);
+        }
+    });
+    Object.entries(settings.groups || {}).forEach(([group, members]) => {
+        members.filter(email => !emails.has(email)).forEach(email => problems.groups.push({ group, email }));
+    });
+    return problems;
+}
 
-        const emailSpan = document.createElement('span');
-        emailSpan.className = 'best-queue-email';
-        emailSpan.textContent = account.email;
+function countFixableProblems(problems) {
+    return problems.anchors.length + problems.dates.filter(d => d.fixedDate).length +
+        problems.groups.length + problems.imports.size;
+}
 
-        const pctSpan = document.createElement('span');
-        pctSpan.className = 'best-queue-pct';
-        pctSpan.textContent = account.queuePercent.toFixed(1) + '%';
+function showDataCheckModal() {
+    document.getElementById('dataCheckModal').classList.add('visible');
+    renderDataCheck();
+}
 
-        item.appendChild(emailSpan);
-        item.appendChild(pctSpan);
-        list.appendChild(item);
-    });
+function closeDataCheckModal() {
+    document.getElementById('dataCheckModal').classList.remove('visible');
 }
 
-function getTableData() {
-    const groups = {};
-    allTests.forEach(t => {
-        if (!groups[t.email]) groups[t.email] = [];
-        groups[t.email].push(t);
-    });
+function renderDataCheck() {
+    const problems = findDataProblems();
+    const container = document.getElementById('dataCheckReport');
+    container.innerHTML = '';
 
-    const data = [];
-    for (const email in groups) {
-        const tests = groups[email].sort((a, b) => new Date(b.testingDate) - new Date(a.testingDate));
-        if (shouldInclude(email, tests)) data.push({ email, tests });
+    const unreadable = problems.dates.filter(d => !d.fixedDate);
+    const fixable = countFixableProblems(problems);
+    const summary = document.createElement('div');
+    summary.className = 'backup-diff-summary';
+    if (fixable + unreadable.length === 0) {
+        summary.textContent = `No problems found in ${allTests.length} test${allTests.length !== 1 ? 's' : ''}.`;
+    } else {
+        summary.textContent = `Found ${fixable + unreadable.length} problem${fixable + unreadable.length !== 1 ? 's' : ''}. ` +
+            (fixable > 0 ? `${fixable} can be fixed in one step, which can be undone. ` : '') +
+            (unreadable.length > 0 ? `${unreadable.length} date${unreadable.length !== 1 ? 's' : ''} can't be read and must be edited by hand.` : '');
     }
-    return data;
+    container.appendChild(summary);
+
+    const describeDate = ({ test, fixedDate }) => `${test.email} • "${test.testingDate}" • ${test.eventName}` +
+        (fixedDate ? ` → ${formatDate(fixedDate)}` : '');
+    const sections = [
+        {
+            label: 'Anchor below queue number, re-anchored like a new import',
+            items: problems.anchors.map(t => `${describeBackupTest(t)} • anchor ${t.queueAnchor.toLocaleString()}`)
+        },
+        {
+            label: 'Dates kept unread, read again',
+            items: problems.dates.filter(d => d.fixedDate).map(describeDate)
+        },
+        {
+            label: 'Dates that still can\'t be read',
+            items: unreadable.map(describeDate),
+            testIds: unreadable.map(d => d.test.id)
+        },
+        {
+            label: 'Group entries for accounts with no tests, removed from the group',
+            items: problems.groups.map(({ group, email }) => `${email} in ${group}`)
+        },
+        {
+            label: 'Tests from imports missing from the import history, listed as recovered imports',
+            items: [...problems.imports.entries()].map(([id, tests]) => `${id} • ${tests.length} test${tests.length !== 1 ? 's' : ''}`)
+        }
+    ];
+    sections.filter(s => s.items.length > 0).forEach(section => {
+        const heading = document.createElement('div');
+        heading.className = `backup-diff-heading ${section.testIds ? 'removed' : 'changed'}`;
+        heading.textContent = `${section.label} (${section.items.length})`;
+        container.appendChild(heading);
+
+        section.items.slice(0, DATA_CHECK_LIMIT).forEach((text, i) => {
+            const item = document.createElement('div');
+            item.className = 'backup-diff-item';
+            item.textContent = text;
+            if (section.testIds) {
+                const editBtn = document.createElement('button');
+                editBtn.className = 'import-refresh-btn data-check-edit-btn';
+                editBtn.textContent = 'Edit';
+                editBtn.onclick = () => showTestForm(section.testIds[i]);
+                item.prepend(editBtn);
+            }
+            container.appendChild(item);
+        });
+        if (section.items.length > DATA_CHECK_LIMIT) {
+            const more = document.createElement('div');
+            more.className = 'backup-diff-item more';
+            more.textContent = `and ${section.items.length - DATA_CHECK_LIMIT} more`;
+            container.appendChild(more);
+        }
+    });
+
+    const fixBtn = document.getElementById('dataCheckFixBtn');
+    fixBtn.style.display = fixable > 0 ? '' : 'none';
+    fixBtn.textContent = `Fix ${fixable} Problem${fixable !== 1 ? 's' : ''}`;
 }
 
-function shouldInclude(email, tests) {
-    const latest = tests[0];
-    const change = getOverallChange(email);
+// Applies every fix findDataProblems has one for, as a single undo step
+async function fixDataProblems() {
+    const problems = findDataProblems();
+    const count = countFixableProblems(problems);
+    if (count === 0) return;
 
-    if (currentFilter.startsWith('search:')) {
-        const query = currentFilter.replace('search:', '').toLowerCase();
-        return email.toLowerCase().includes(query);
-    }
+    saveToHistory(`Fixed ${count} data problem${count !== 1 ? 's' : ''}`);
+    const now = new Date().toISOString();
 
-    if (currentFilter.startsWith('group:')) {
-        const groupName = currentFilter.replace('group:', '');
-        return getAccountGroup(email) === groupName;
-    }
+    problems.dates.filter(d => d.fixedDate).forEach(({ test, fixedDate }) => {
+        test.testingDate = fixedDate;
+        test.modifiedAt = now;
+    });
 
-    switch (currentFilter) {
-        case 'instants': return latest.queuePercent <= 1;
-        case 'juice': return latest.queuePercent <= 10 && latest.queueAnchor >= 50000;
-        case 'excellent': return latest.queuePercent > 10 && latest.queuePercent <= 20;
-        case 'improving': return change !== null && change > 0;
-        case 'declining': return change !== null && change < 0;
-        default: return true;
+    // Cleared first, so none of them is taken as the event's known anchor
+    problems.anchors.forEach(test => {
+        test.queueAnchor = null;
+        delete test.anchorSource;
+        test.modifiedAt = now;
+    });
+    inferMissingAnchors(problems.anchors);
+
+    problems.groups.forEach(({ group, email }) => {
+        settings.groups[group] = settings.groups[group].filter(e => e !== email);
+    });
+
+    problems.imports.forEach((tests, id) => {
+        importHistory.push({
+            id,
+            filename: 'Recovered import',
+            date: tests.map(t => t.createdAt).filter(Boolean).sort()[0] || now,
+            testCount: tests.length,
+            rejectedCount: 0,
+            rejectedCsv: null,
+            sheet: null,
+            hash: null,
+            source: 'recovered',
+            filePath: null,
+            mapping: null,
+            dateOrder: null
+        });
+    });
+
+    recalculateAll();
+    syncImportCounts();
+    await saveData();
+    if (problems.groups.length > 0) {
+        await saveSettings();
+        renderGroupFilterChips();
     }
+    renderTable();
+    if (currentPage === 'events') renderEventsPage();
+    renderDataCheck();
+    showToast(`Fixed ${count} data problem${count !== 1 ? 's' : ''}`, 'success');
 }
 
 // ============================
@@ -1312,18 +4597,24 @@ function renderGroupList() {
     renderGroupFilterChips();
 }
 
+// Returns an error message, or null if `name` can be added to `groups`
+function validateGroupName(name, groups = settings.groups || {}) {
+    if (typeof name !== 'string' || !name.trim()) return 'Enter a group name';
+    if (name !== name.trim()) return 'Group names can\'t start or end with spaces';
+    if (Object.prototype.hasOwnProperty.call(groups, name)) return 'Group already exists';
+    return null;
+}
+
 function createGroup() {
     const input = document.getElementById('newGroupName');
     const name = input.value.trim();
-    if (!name) {
-        showToast('Enter a group name', 'error');
+    const error = validateGroupName(name);
+    if (error) {
+        showToast(error, 'error');
         return;
     }
     if (!settings.groups) settings.groups = {};
-    if (settings.groups[name]) {
-        showToast('Group already exists', 'error');
-        return;
-    }
+    saveToHistory(`Created group ${name}`);
     settings.groups[name] = [];
     saveSettings();
     renderGroupList();
@@ -1332,18 +4623,25 @@ function createGroup() {
 }
 
 function deleteGroup(name) {
+    saveToHistory(`Deleted group ${name}`);
     delete settings.groups[name];
     saveSettings();
     renderGroupList();
-    if (currentFilter === 'group:' + name) {
-        currentFilter = 'all';
-        document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
-        document.querySelector('.filter-chip[data-filter="all"]').classList.add('active');
-        renderTable();
-    }
+    if (resetMissingGroupFilter()) renderTable();
     showToast(`Group "${name}" deleted`, 'success');
 }
 
+// Goes back to showing all accounts if the group being filtered on no longer exists.
+// Returns whether the filter changed.
+function resetMissingGroupFilter() {
+    if (!currentFilter.startsWith('group:')) return false;
+    if (settings.groups && settings.groups[currentFilter.slice('group:'.length)]) return false;
+    currentFilter = 'all';
+    document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
+    document.querySelector('.filter-chip[data-filter="all"]').classList.add('active');
+    return true;
+}
+
 function addToGroup(groupName, email) {
     // Check if email exists in data
     const exists = allTests.some(t => t.email === email);
@@ -1352,6 +4650,8 @@ function addToGroup(groupName, email) {
         return;
     }
 
+    saveToHistory(`Added ${email} to group ${groupName}`);
+
     // Remove from other groups first
     for (const [name, emails] of Object.entries(settings.groups)) {
         const idx = emails.indexOf(email);
@@ -1369,6 +4669,7 @@ function addToGroup(groupName, email) {
 function removeFromGroup(groupName, email) {
     const idx = settings.groups[groupName].indexOf(email);
     if (idx !== -1) {
+        saveToHistory(`Removed ${email} from group ${groupName}`);
         settings.groups[groupName].splice(idx, 1);
         saveSettings();
         renderGroupList();
@@ -1465,21 +4766,114 @@ function renderGroupFilterChips() {
         chip.dataset.filter = 'group:' + name;
         chip.textContent = name;
         if (currentFilter === 'group:' + name) chip.classList.add('active');
-        chip.onclick = () => {
-            currentFilter = 'group:' + name;
-            visibleRowCount = INITIAL_ROW_LIMIT;
-            document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
-            chip.classList.add('active');
-            showLoadingState();
-            requestAnimationFrame(() => {
-                renderTable();
-                hideLoadingState();
-            });
-        };
+        chip.onclick = () => selectFilterChip(chip);
         chipContainer.appendChild(chip);
     }
 }
 
+// ============================
+// ACCOUNT RENAME & MERGE
+// ============================
+// Moves every test of the given accounts to targetEmail as one undo step. Tests that
+// repeat one already kept (same date, time, event and queue number) are dropped, the
+// target's own tests winning. The merged account keeps the target's group, or else the
+// first group one of the others was in.
+async function combineAccounts(emails, targetEmail, label) {
+    const sources = emails.filter(email => email !== targetEmail);
+    const targetGroup = getAccountGroup(targetEmail) || emails.map(getAccountGroup).find(Boolean) || null;
+
+    saveToHistory(label);
+
+    const index = buildTestIndex(allTests.filter(t => t.email === targetEmail));
+    const dropped = new Set();
+    const now = new Date().toISOString();
+    let moved = 0;
+    let conflicts = 0;
+    allTests.forEach(test => {
+        if (!sources.includes(test.email)) return;
+        const renamed = { ...test, email: targetEmail };
+        const match = classifyMatch(index, renamed);
+        if (match === 'duplicate') {
+            dropped.add(test.id);
+            return;
+        }
+        if (match === 'conflict') conflicts++;
+
+        test.email = targetEmail;
+        test.modifiedAt = now;
+        const key = getTestKey(test);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(test);
+        moved++;
+    });
+    allTests = allTests.filter(t => !dropped.has(t.id));
+    syncImportCounts();
+
+    // Old emails leave their groups; the merged account joins one
+    if (!settings.groups) settings.groups = {};
+    Object.values(settings.groups).forEach(groupEmails => {
+        for (let i = groupEmails.length - 1; i >= 0; i--) {
+            if (emails.includes(groupEmails[i]) || groupEmails[i] === targetEmail) groupEmails.splice(i, 1);
+        }
+    });
+    if (targetGroup) settings.groups[targetGroup].push(targetEmail);
+
+    recalculateAll();
+    await saveData();
+    await saveSettings();
+    renderTable();
+    renderGroupFilterChips();
+    if (currentPage === 'events') renderEventsPage();
+
+    return { moved, duplicates: dropped.size, conflicts };
+}
+
+function describeCombineResult(result) {
+    let text = `${result.moved} test${result.moved !== 1 ? 's' : ''} moved`;
+    if (result.duplicates > 0) text += `, ${result.duplicates} duplicate${result.duplicates !== 1 ? 's' : ''} removed`;
+    if (result.conflicts > 0) text += `, ${result.conflicts} kept with a different queue number on the same date`;
+    return text;
+}
+
+function renameAccount(email) {
+    const message = `Enter the new email for ${email}. If another account already uses it, the two are merged.`;
+    showPromptModal('Rename Account', message, email, 'Rename', async (value) => {
+        if (!isValidEmail(value)) return 'Enter a valid email';
+        if (value === email) return null;
+
+        const merging = allTests.some(t => t.email === value);
+        const result = await combineAccounts([email], value, `${merging ? 'Merged' : 'Renamed'} ${email} ${merging ? 'into' : 'to'} ${value}`);
+        if (document.getElementById('timelinePage').style.display === 'block') showTimeline(value);
+        showToast(merging
+            ? `Merged ${email} into ${value}: ${describeCombineResult(result)}`
+            : `Renamed ${email} to ${value}`, 'success');
+        return null;
+    });
+}
+
+// Merges the accounts picked in compare mode into one of them, or into a new email
+function mergeSelectedAccounts() {
+    const emails = Array.from(selectedForCompare);
+    if (emails.length < 2) {
+        showToast('Select at least 2 accounts to merge', 'error');
+        return;
+    }
+
+    // Suggest keeping the account with the most tests
+    const counts = {};
+    allTests.forEach(t => { counts[t.email] = (counts[t.email] || 0) + 1; });
+    const suggested = [...emails].sort((a, b) => (counts[b] || 0) - (counts[a] || 0))[0];
+
+    const message = `Merge ${emails.join(', ')} into one account. Enter the email to keep: one of these or a new one.`;
+    showPromptModal('Merge Accounts', message, suggested, 'Merge', async (value) => {
+        if (!isValidEmail(value)) return 'Enter a valid email';
+        const result = await combineAccounts(emails, value, `Merged ${emails.length} accounts into ${value}`);
+        cancelCompare();
+        showToast(`Merged ${emails.length} accounts into ${value}: ${describeCombineResult(result)}`, 'success');
+        return null;
+    });
+}
+
 // ============================
 // MULTI-ACCOUNT COMPARISON
 // ============================
@@ -1508,6 +4902,11 @@ function updateCompareButton() {
         runBtn.disabled = selectedForCompare.size < 2;
         runBtn.textContent = `Compare (${selectedForCompare.size})`;
     }
+    const mergeBtn = document.getElementById('mergeAccountsBtn');
+    if (mergeBtn) {
+        mergeBtn.disabled = selectedForCompare.size < 2;
+        mergeBtn.textContent = `Merge (${selectedForCompare.size})`;
+    }
 }
 
 function cancelCompare() {
@@ -1571,7 +4970,7 @@ function showComparisonView(emails) {
     const accountData = [];
 
     emails.forEach((email, idx) => {
-        const tests = allTests.filter(t => t.email === email).sort((a, b) => new Date(a.testingDate) - new Date(b.testingDate));
+        const tests = allTests.filter(t => t.email === email).sort(compareTests);
         if (tests.length === 0) return;
 
         const pcts = tests.map(t => t.queuePercent);
@@ -1729,7 +5128,7 @@ function closeHelpModal() {
 
 // Timeline
 function showTimeline(email) {
-    const tests = allTests.filter(t => t.email === email).sort((a, b) => new Date(a.testingDate) - new Date(b.testingDate));
+    const tests = allTests.filter(t => t.email === email).sort(compareTests);
     if (tests.length === 0) return;
 
     document.getElementById('timelineEmail').textContent = email;
@@ -1741,7 +5140,12 @@ function showTimeline(email) {
     document.getElementById('timelineAvg').textContent = (pcts.reduce((a,b) => a+b, 0) / pcts.length).toFixed(1) + '%';
     document.getElementById('timelineTotal').textContent = tests.length;
 
-    renderGraph(tests);
+    const forecast = getForecast(tests);
+    const projectedEl = document.getElementById('timelineProjected');
+    projectedEl.textContent = forecast ? forecast.projected.toFixed(1) + '%' : 'N/A';
+    projectedEl.title = forecast ? describeForecast(forecast) : `Needs at least ${FORECAST_MIN_TESTS} tests`;
+
+    renderGraph(tests, forecast);
 
     document.getElementById('mainContent').style.display = 'none';
     document.getElementById('comparisonPage').style.display = 'none';
@@ -1772,7 +5176,9 @@ function downsampleData(tests, maxPoints = 100) {
     return result;
 }
 
-function renderGraph(tests) {
+// `forecast` (from getForecast) adds the projected next test one step past the last,
+// with its range drawn as a band widening from the last test
+function renderGraph(tests, forecast = null) {
     const area = document.getElementById('graphArea');
     const svg = area.querySelector('svg');
 
@@ -1781,24 +5187,47 @@ function renderGraph(tests) {
     const maxPoints = 150;
     const displayTests = downsampleData(tests, maxPoints);
 
-    const xStep = 100 / (displayTests.length - 1 || 1);
+    const xStep = 100 / (displayTests.length - (forecast ? 0 : 1) || 1);
     const points = displayTests.map((t, i) => ({ x: i * xStep, y: t.queuePercent, test: t }));
+    const lastX = points[points.length - 1].x;
 
     const line = document.getElementById('graphLine');
     line.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
 
+    const forecastLine = document.getElementById('graphForecastLine');
+    const forecastBand = document.getElementById('graphForecastBand');
+    if (forecast) {
+        const last = points[points.length - 1];
+        forecastLine.setAttribute('points', `${last.x},${last.y} 100,${forecast.projected}`);
+        forecastBand.setAttribute('points', `${last.x},${last.y} 100,${forecast.low} 100,${forecast.high}`);
+
+        const el = document.createElement('div');
+        el.className = 'graph-point graph-forecast-point';
+        el.style.left = '100%';
+        el.style.top = forecast.projected + '%';
+        el.title = describeForecast(forecast);
+        area.appendChild(el);
+    } else {
+        forecastLine.setAttribute('points', '');
+        forecastBand.setAttribute('points', '');
+    }
+
     points.forEach((p, i) => {
         const el = document.createElement('div');
         el.className = 'graph-point';
         el.style.left = p.x + '%';
         el.style.top = p.y + '%';
         el.dataset.test = p.test.testingNum;
-        el.dataset.date = formatDate(p.test.testingDate);
+        el.dataset.date = formatDate(p.test.testingDate) + (p.test.testingTime ? ' ' + formatTime(p.test.testingTime) : '');
         el.dataset.percent = p.test.queuePercent.toFixed(1);
         el.dataset.queue = formatNum(p.test.queueNumber) + '/' + formatNum(p.test.queueAnchor);
         el.dataset.change = i > 0 ? (p.test.queuePercent - displayTests[i-1].queuePercent).toFixed(1) : '0';
         el.onmouseenter = showTooltip;
         el.onmouseleave = hideTooltip;
+        el.onclick = () => {
+            hideTooltip();
+            showTestDetails(p.test.id);
+        };
         area.appendChild(el);
     });
 
@@ -1810,10 +5239,17 @@ function renderGraph(tests) {
             const lbl = document.createElement('div');
             lbl.className = 'x-label';
             lbl.textContent = formatDate(t.testingDate);
-            lbl.style.left = ((i / (tests.length - 1)) * 100) + '%';
+            lbl.style.left = ((i / (tests.length - 1)) * lastX) + '%';
             xAxis.appendChild(lbl);
         }
     });
+    if (forecast) {
+        const lbl = document.createElement('div');
+        lbl.className = 'x-label';
+        lbl.textContent = 'Next';
+        lbl.style.left = '100%';
+        xAxis.appendChild(lbl);
+    }
 
     if (tests.length > maxPoints) {
         console.log(`Graph downsampled: showing ${displayTests.length} of ${tests.length} data points for performance`);
@@ -1865,6 +5301,12 @@ function formatDate(d) {
     return (date.getMonth() + 1).toString().padStart(2, '0') + '/' + date.getDate().toString().padStart(2, '0');
 }
 
+// HH:MM in the user's locale, e.g. 7:00 PM
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
 function formatDateLong(d) {
     const date = new Date(d);
     const months = ['January', 'February', 'March', 'April', 'May', 'June',
@@ -1876,24 +5318,52 @@ function formatDateLong(d) {
     return `${months[date.getMonth()]} ${day}${suffix}, ${date.getFullYear()}`;
 }
 
-function getColorClass(p) {
-    if (p <= 1) return 'instants';
-    if (p <= 10) return 'juice';
-    if (p <= 20) return 'excellent';
-    if (p <= 40) return 'good';
-    if (p <= 60) return 'neutral';
-    return 'poor';
+function getOverallChange(email) {
+    const tests = allTests.filter(t => t.email === email).sort(compareTests);
+    if (tests.length < 2) return null;
+    return tests[tests.length - 2].queuePercent - tests[tests.length - 1].queuePercent;
 }
 
-function hasJuice(account) {
-    const latest = account.tests[0];
-    return latest.queuePercent <= 10 && latest.queueAnchor >= 50000;
+// Projects an account's next queue % from a least-squares line through its recent tests
+// (oldest first). low and high bound an 80% prediction interval, clamped to 0-100%.
+// Returns null until the account has FORECAST_MIN_TESTS tests.
+function getForecast(tests) {
+    const recent = tests.slice(-FORECAST_WINDOW);
+    const n = recent.length;
+    if (n < FORECAST_MIN_TESTS) return null;
+
+    const meanX = (n - 1) / 2;
+    const meanY = recent.reduce((sum, t) => sum + t.queuePercent, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    recent.forEach((t, x) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (t.queuePercent - meanY);
+    });
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+
+    const residuals = recent.reduce((sum, t, x) => sum + (t.queuePercent - (intercept + slope * x)) ** 2, 0);
+    const standardError = Math.sqrt(residuals / (n - 2));
+    const margin = FORECAST_T_VALUES[n - 3] * standardError * Math.sqrt(1 + 1 / n + (n - meanX) ** 2 / sxx);
+    const clamp = p => Math.min(100, Math.max(0, p));
+    const projected = intercept + slope * n;
+
+    return {
+        projected: clamp(projected),
+        low: clamp(projected - margin),
+        high: clamp(projected + margin),
+        slope,
+        testCount: n
+    };
 }
 
-function getOverallChange(email) {
-    const tests = allTests.filter(t => t.email === email).sort((a, b) => new Date(a.testingDate) - new Date(b.testingDate));
-    if (tests.length < 2) return null;
-    return tests[tests.length - 2].queuePercent - tests[tests.length - 1].queuePercent;
+function describeForecast(forecast) {
+    const trend = Math.abs(forecast.slope) < 0.05 ? 'flat' :
+        `${forecast.slope < 0 ? 'improving' : 'declining'} ${Math.abs(forecast.slope).toFixed(1)}% per test`;
+    return `Next test projected at ${forecast.projected.toFixed(1)}% ` +
+        `(80% range ${forecast.low.toFixed(1)}-${forecast.high.toFixed(1)}%), ` +
+        `from the last ${forecast.testCount} tests, trend ${trend}`;
 }
 
 function updateStats(tests) {
@@ -1979,9 +5449,13 @@ function scrollToBestPosition() {
     }, 100);
 }
 
-function showTestDetails(test, email) {
-    const allEmail = allTests.filter(t => t.email === email).sort((a, b) => new Date(a.testingDate) - new Date(b.testingDate));
-    const idx = allEmail.findIndex(t => t.testingDate === test.testingDate && t.queueNumber === test.queueNumber);
+function showTestDetails(testId) {
+    const test = findTestById(testId);
+    if (!test) return;
+
+    const email = test.email;
+    const allEmail = allTests.filter(t => t.email === email).sort(compareTests);
+    const idx = allEmail.findIndex(t => t.id === test.id);
     const prev = idx > 0 ? allEmail[idx - 1] : null;
     const change = prev ? (test.queuePercent - prev.queuePercent).toFixed(2) : null;
     const days = Math.floor((new Date() - new Date(test.testingDate)) / 86400000);
@@ -1994,12 +5468,17 @@ function showTestDetails(test, email) {
         { label: 'Email', value: email },
         { label: 'Event', value: test.eventName },
         { label: 'Test #', value: String(test.testingNum) },
-        { label: 'Date', value: formatDateLong(test.testingDate) },
+        { label: 'Date', value: formatDateLong(test.testingDate) + (test.testingTime ? ` at ${formatTime(test.testingTime)}` : '') },
         { label: 'Queue', value: formatNum(test.queueNumber) + '/' + formatNum(test.queueAnchor) },
         { label: 'Queue %', value: test.queuePercent.toFixed(2) + '%' },
         { label: 'Change', value: change !== null ? (change >= 0 ? '+' : '') + change + '%' : 'N/A' },
-        { label: 'Days Since', value: days + ' days' }
+        { label: 'Days Since', value: days + ' days' },
+        { label: 'Source', value: getTestSource(test) },
+        { label: 'Added', value: new Date(test.createdAt).toLocaleString() }
     ];
+    if (test.modifiedAt && test.modifiedAt !== test.createdAt) {
+        details.push({ label: 'Last Edited', value: new Date(test.modifiedAt).toLocaleString() });
+    }
 
     details.forEach(d => {
         const row = document.createElement('div');
@@ -2018,14 +5497,148 @@ function showTestDetails(test, email) {
         modalBody.appendChild(row);
     });
 
+    detailsTestId = test.id;
     const modal = document.getElementById('testModal');
     modal.classList.add('visible');
 }
 
+// The file a test was imported from, or how else it got here
+function getTestSource(test) {
+    if (!test.importId) return 'Entered manually';
+    const imp = importHistory.find(i => i.id === test.importId);
+    return imp ? imp.filename : 'Removed import';
+}
+
 function closeTestModal() {
     document.getElementById('testModal').classList.remove('visible');
 }
 
+// ============================
+// TEST EDITING
+// ============================
+// Opens the test form to edit an existing test, or to add one (optionally for a given account)
+function showTestForm(testId = null, email = '') {
+    const test = testId ? findTestById(testId) : null;
+    if (testId && !test) return;
+    testFormState = { testId: test ? test.id : null };
+
+    document.getElementById('testFormTitle').textContent = test ? 'Edit Test' : 'Add Test';
+    document.getElementById('testFormEmail').value = test ? test.email : email;
+    document.getElementById('testFormEvent').value = test ? test.eventName : '';
+    document.getElementById('testFormDate').value = test ? test.testingDate : new Date().toISOString().slice(0, 10);
+    document.getElementById('testFormTime').value = test && test.testingTime ? test.testingTime : '';
+    document.getElementById('testFormQueue').value = test ? test.queueNumber : '';
+    document.getElementById('testFormAnchor').value = test ? test.queueAnchor : '';
+    document.getElementById('testFormError').textContent = '';
+
+    // Suggest the events already tracked
+    const eventList = document.getElementById('testFormEventList');
+    eventList.innerHTML = '';
+    [...new Set(allTests.map(t => t.eventName))].sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        eventList.appendChild(option);
+    });
+
+    document.getElementById('testFormModal').classList.add('visible');
+    document.getElementById(test || !email ? 'testFormEmail' : 'testFormEvent').focus();
+}
+
+function closeTestForm() {
+    testFormState = null;
+    document.getElementById('testFormModal').classList.remove('visible');
+}
+
+function readTestForm() {
+    const queue = document.getElementById('testFormQueue').value.trim();
+    const anchor = document.getElementById('testFormAnchor').value.trim();
+    return {
+        email: document.getElementById('testFormEmail').value.trim(),
+        testingDate: document.getElementById('testFormDate').value,
+        testingTime: document.getElementById('testFormTime').value || null,
+        eventName: document.getElementById('testFormEvent').value.trim(),
+        queueNumber: queue === '' ? NaN : parseInt(queue),
+        queueAnchor: anchor === '' ? null : parseInt(anchor)
+    };
+}
+
+// Validates the form with the same rules as imports, then adds or updates the test
+// as one undo step. A blank anchor takes the event's known anchor, as on import.
+async function submitTestForm() {
+    if (!testFormState) return;
+    const fields = readTestForm();
+    const existing = testFormState.testId ? findTestById(testFormState.testId) : null;
+
+    const errors = validateTestData(fields);
+    const key = getTestKey(fields);
+    if (allTests.some(t => t !== existing && getTestKey(t) === key)) {
+        errors.push('This account already has a test for this event at this date and time');
+    }
+    if (errors.length > 0) {
+        document.getElementById('testFormError').textContent = errors.join('\n');
+        return;
+    }
+
+    saveToHistory(`${existing ? 'Edited' : 'Added'} test of ${fields.email}`);
+    let warnings = [];
+    if (existing) {
+        const keepSource = fields.queueAnchor === existing.queueAnchor && existing.anchorSource;
+        const updated = { ...fields };
+        if (updated.queueAnchor === null) warnings = inferMissingAnchors([updated]);
+        else if (keepSource) updated.anchorSource = existing.anchorSource;
+
+        delete existing.anchorSource;
+        Object.assign(existing, updated, { modifiedAt: new Date().toISOString() });
+    } else {
+        const test = createTestRecord({ ...fields, importId: null });
+        warnings = inferMissingAnchors([test]);
+        allTests.push(test);
+    }
+
+    const email = fields.email;
+    closeTestForm();
+    await refreshAfterTestChange(email);
+    showToast(existing ? 'Test updated' : 'Test added', 'success');
+    if (warnings.length > 0) {
+        setTimeout(() => showToast(warnings.join('\n'), 'info'), 1000);
+    }
+}
+
+function deleteTest(testId) {
+    const test = findTestById(testId);
+    if (!test) return;
+
+    showConfirmModal(
+        'Delete Test',
+        `Delete the ${formatDateLong(test.testingDate)} test of ${test.email} for "${test.eventName}"?`,
+        'Delete',
+        async () => {
+            saveToHistory(`Deleted test of ${test.email}`);
+            allTests = allTests.filter(t => t.id !== testId);
+            syncImportCounts();
+            closeTestModal();
+            await refreshAfterTestChange(test.email);
+            showToast('Test deleted', 'success');
+        }
+    );
+}
+
+// Recalculates, saves and redraws whatever shows the edited account
+async function refreshAfterTestChange(email) {
+    recalculateAll();
+    await saveData();
+    renderTable();
+    if (currentPage === 'events') renderEventsPage();
+    if (document.getElementById('dataCheckModal').classList.contains('visible')) renderDataCheck();
+
+    if (document.getElementById('timelinePage').style.display === 'block') {
+        const timelineEmail = document.getElementById('timelineEmail').textContent;
+        const shown = allTests.some(t => t.email === timelineEmail) ? timelineEmail : email;
+        if (allTests.some(t => t.email === shown)) showTimeline(shown);
+        else hideTimeline();
+    }
+}
+
 // Loading State Helpers
 function showLoadingState() {
     const tbody = document.getElementById('tableBody');
@@ -2049,15 +5662,12 @@ function setupEventListeners() {
         }
 
         const testCell = e.target.closest('.test-cell');
-        if (testCell && testCell.dataset.testData) {
-            try {
-                const test = JSON.parse(testCell.dataset.testData);
-                const email = testCell.dataset.email;
-                showTestDetails(test, email);
-            } catch (err) {
-                console.error('Error parsing test data:', err);
-            }
+        if (testCell && testCell.dataset.testId) {
+            showTestDetails(testCell.dataset.testId);
         }
+
+        const addSlot = e.target.closest('.add-test-slot');
+        if (addSlot) showTestForm(null, addSlot.dataset.email);
     });
 
     const bestCard = document.getElementById('bestPositionCard');
@@ -2086,12 +5696,21 @@ function setupEventListeners() {
     if (navHome) {
         navHome.onclick = () => navigateTo('home');
     }
+    const navEvents = document.getElementById('navEvents');
+    if (navEvents) {
+        navEvents.onclick = () => navigateTo('events');
+    }
+    document.getElementById('eventDetailBackBtn').onclick = hideEventDetail;
     const navSettings = document.getElementById('navSettings');
     if (navSettings) {
         navSettings.onclick = () => navigateTo('settings');
     }
 
     document.getElementById('importBtn').onclick = importCSV;
+    document.getElementById('pasteBtn').onclick = showPasteDataModal;
+    document.getElementById('pasteClipboardBtn').onclick = pasteFromClipboard;
+    document.getElementById('pasteDataCancelBtn').onclick = closePasteDataModal;
+    document.getElementById('pasteDataContinueBtn').onclick = submitPastedData;
     document.getElementById('backBtn').onclick = () => {
         if (document.getElementById('comparisonPage').style.display === 'block') {
             hideComparisonView();
@@ -2100,6 +5719,7 @@ function setupEventListeners() {
         }
     };
     document.getElementById('undoBtn').onclick = undo;
+    document.getElementById('historyBtn').onclick = showHistoryModal;
     document.getElementById('redoBtn').onclick = redo;
 
     // Help button
@@ -2122,6 +5742,45 @@ function setupEventListeners() {
     document.getElementById('importHistoryModal').onclick = (e) => {
         if (e.target.id === 'importHistoryModal') closeImportHistoryModal();
     };
+    document.getElementById('columnMappingModal').onclick = (e) => {
+        if (e.target.id === 'columnMappingModal') closeColumnMappingModal();
+    };
+    document.getElementById('importPreviewModal').onclick = (e) => {
+        if (e.target.id === 'importPreviewModal') closeImportPreviewModal();
+    };
+    document.getElementById('importResultsModal').onclick = (e) => {
+        if (e.target.id === 'importResultsModal') closeImportResultsModal();
+    };
+    document.getElementById('sheetPickerModal').onclick = (e) => {
+        if (e.target.id === 'sheetPickerModal') closeSheetPickerModal();
+    };
+    document.getElementById('pasteDataModal').onclick = (e) => {
+        if (e.target.id === 'pasteDataModal') closePasteDataModal();
+    };
+    document.getElementById('promptModal').onclick = (e) => {
+        if (e.target.id === 'promptModal') closePromptModal();
+    };
+    document.getElementById('backupsModal').onclick = (e) => {
+        if (e.target.id === 'backupsModal') closeBackupsModal();
+    };
+    document.getElementById('workspacesModal').onclick = (e) => {
+        if (e.target.id === 'workspacesModal') closeWorkspacesModal();
+    };
+    document.getElementById('bundleImportModal').onclick = (e) => {
+        if (e.target.id === 'bundleImportModal') closeBundleImportModal();
+    };
+    document.getElementById('testFormModal').onclick = (e) => {
+        if (e.target.id === 'testFormModal') closeTestForm();
+    };
+    document.getElementById('historyModal').onclick = (e) => {
+        if (e.target.id === 'historyModal') closeHistoryModal();
+    };
+    document.getElementById('passphraseModal').onclick = (e) => {
+        if (e.target.id === 'passphraseModal') closePassphraseModal();
+    };
+    document.getElementById('dataCheckModal').onclick = (e) => {
+        if (e.target.id === 'dataCheckModal') closeDataCheckModal();
+    };
 
     // Modal close button handlers (ensure they work)
     document.querySelectorAll('.modal-close').forEach(btn => {
@@ -2131,6 +5790,44 @@ function setupEventListeners() {
             if (modal) modal.classList.remove('visible');
         };
     });
+    // The mapping wizard must settle its pending import when dismissed
+    document.querySelector('#columnMappingModal .modal-close').onclick = closeColumnMappingModal;
+    document.getElementById('columnMappingCancelBtn').onclick = closeColumnMappingModal;
+    document.getElementById('columnMappingApplyBtn').onclick = applyColumnMapping;
+    document.querySelector('#sheetPickerModal .modal-close').onclick = closeSheetPickerModal;
+    document.querySelector('#promptModal .modal-close').onclick = closePromptModal;
+    document.querySelector('#backupsModal .modal-close').onclick = closeBackupsModal;
+    document.querySelector('#bundleImportModal .modal-close').onclick = closeBundleImportModal;
+    document.querySelector('#testFormModal .modal-close').onclick = closeTestForm;
+    document.querySelector('#historyModal .modal-close').onclick = closeHistoryModal;
+    document.querySelector('#passphraseModal .modal-close').onclick = closePassphraseModal;
+    document.querySelector('#dataCheckModal .modal-close').onclick = closeDataCheckModal;
+    document.getElementById('bundleImportCancelBtn').onclick = closeBundleImportModal;
+    document.getElementById('bundleMergeBtn').onclick = mergeBundle;
+    document.getElementById('bundleReplaceBtn').onclick = replaceWithBundle;
+    document.getElementById('promptCancelBtn').onclick = closePromptModal;
+    document.getElementById('promptActionBtn').onclick = submitPromptModal;
+    document.getElementById('promptInput').onkeydown = (e) => {
+        if (e.key === 'Enter') submitPromptModal();
+    };
+    document.getElementById('sheetPickerCancelBtn').onclick = closeSheetPickerModal;
+    document.querySelector('#importPreviewModal .modal-close').onclick = closeImportPreviewModal;
+    document.getElementById('importPreviewCancelBtn').onclick = closeImportPreviewModal;
+    document.getElementById('importPreviewConfirmBtn').onclick = confirmImportPreview;
+    document.getElementById('importPreviewErrorsBtn').onclick = downloadPreviewErrors;
+    document.querySelectorAll('.preview-filter-btn').forEach(btn => {
+        btn.onclick = () => setImportPreviewFilter(btn.dataset.filter);
+    });
+    document.getElementById('importPreviewFileSelect').onchange = (e) => {
+        setImportPreviewFile(parseInt(e.target.value));
+    };
+    document.getElementById('dateOrderSelect').onchange = (e) => setImportPreviewDateOrder(e.target.value);
+    document.getElementById('duplicatePolicySelect').onchange = async (e) => {
+        saveToHistory('Changed duplicate handling');
+        settings.duplicatePolicy = e.target.value;
+        await saveSettings();
+    };
+    document.getElementById('importResultsOkBtn').onclick = closeImportResultsModal;
 
     // Compare buttons
     const compareBtn = document.getElementById('compareBtn');
@@ -2141,6 +5838,10 @@ function setupEventListeners() {
 
     const runCompareBtn = document.getElementById('runCompareBtn');
     if (runCompareBtn) runCompareBtn.onclick = runComparison;
+    document.getElementById('mergeAccountsBtn').onclick = mergeSelectedAccounts;
+    document.getElementById('timelineRenameBtn').onclick = () => {
+        renameAccount(document.getElementById('timelineEmail').textContent);
+    };
 
     // Group manager
     const groupBtn = document.getElementById('groupBtn');
@@ -2157,19 +5858,24 @@ function setupEventListeners() {
     }
 
     document.querySelectorAll('.filter-chip').forEach(chip => {
-        chip.onclick = () => {
-            currentFilter = chip.dataset.filter;
-            visibleRowCount = INITIAL_ROW_LIMIT;
-            document.querySelectorAll('.filter-chip').forEach(c => c.classList.remove('active'));
-            chip.classList.add('active');
-            showLoadingState();
-            requestAnimationFrame(() => {
-                renderTable();
-                hideLoadingState();
-            });
-        };
+        chip.onclick = () => selectFilterChip(chip);
     });
 
+    document.getElementById('projectionThresholdInput').onchange = (e) => {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value) || value < 0 || value > 100) {
+            e.target.value = settings.projectionThreshold;
+            showToast('Enter a queue % from 0 to 100', 'error');
+            return;
+        }
+        settings.projectionThreshold = value;
+        saveSettings();
+        if (currentFilter === 'projected') {
+            visibleRowCount = INITIAL_ROW_LIMIT;
+            renderTable();
+        }
+    };
+
     // Debounced search
     let searchTimeout;
     document.getElementById('searchInput').oninput = (e) => {
@@ -2198,6 +5904,7 @@ function setupEventListeners() {
     const rowSizeSelect = document.getElementById('rowSizeSelect');
     if (rowSizeSelect) {
         rowSizeSelect.onchange = async (e) => {
+            saveToHistory(`Set row size to ${ROW_SIZES[e.target.value].label}`);
             settings.rowSize = e.target.value;
             applyRowSize();
             await saveSettings();
@@ -2205,6 +5912,17 @@ function setupEventListeners() {
         };
     }
 
+    document.getElementById('dateFormatSelect').onchange = async (e) => {
+        saveToHistory('Changed date format');
+        settings.dateFormat = e.target.value;
+        await saveSettings();
+        showToast(e.target.value === 'auto' ? 'Date format will be detected from each file' : `Ambiguous dates will be read ${DATE_ORDER_LABELS[e.target.value].toLowerCase()}`, 'success');
+    };
+
+    document.querySelectorAll('.backup-retention-input').forEach(input => {
+        input.onchange = () => setBackupRetention(input.dataset.kind, input.value);
+    });
+
     // Keyboard Shortcuts
     document.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
@@ -2226,13 +5944,41 @@ function setupEventListeners() {
         if (e.key === 'Escape') {
             if (document.getElementById('confirmModal').classList.contains('visible')) {
                 closeConfirmModal();
+            } else if (document.getElementById('promptModal').classList.contains('visible')) {
+                closePromptModal();
+            } else if (document.getElementById('bundleImportModal').classList.contains('visible')) {
+                closeBundleImportModal();
+            } else if (document.getElementById('testFormModal').classList.contains('visible')) {
+                closeTestForm();
+            } else if (document.getElementById('passphraseModal').classList.contains('visible')) {
+                closePassphraseModal();
+            } else if (document.getElementById('dataCheckModal').classList.contains('visible')) {
+                closeDataCheckModal();
+            } else if (document.getElementById('pasteDataModal').classList.contains('visible')) {
+                closePasteDataModal();
+            } else if (document.getElementById('sheetPickerModal').classList.contains('visible')) {
+                closeSheetPickerModal();
+            } else if (document.getElementById('columnMappingModal').classList.contains('visible')) {
+                closeColumnMappingModal();
+            } else if (document.getElementById('importPreviewModal').classList.contains('visible')) {
+                closeImportPreviewModal();
+            } else if (document.getElementById('importResultsModal').classList.contains('visible')) {
+                closeImportResultsModal();
             } else if (document.getElementById('importHistoryModal').classList.contains('visible')) {
                 closeImportHistoryModal();
+            } else if (document.getElementById('backupsModal').classList.contains('visible')) {
+                closeBackupsModal();
+            } else if (document.getElementById('historyModal').classList.contains('visible')) {
+                closeHistoryModal();
+            } else if (document.getElementById('workspacesModal').classList.contains('visible')) {
+                closeWorkspacesModal();
             } else if (document.getElementById('helpModal').classList.contains('visible')) {
                 closeHelpModal();
             } else if (document.getElementById('groupModal').classList.contains('visible')) {
                 closeGroupModal();
-            } else if (currentPage === 'settings') {
+            } else if (currentPage === 'events' && openEventName) {
+                hideEventDetail();
+            } else if (currentPage === 'settings' || currentPage === 'events') {
                 navigateTo('home');
             } else if (document.getElementById('comparisonPage').style.display === 'block') {
                 hideComparisonView();
@@ -2250,6 +5996,36 @@ function setupEventListeners() {
     const viewImportsBtn = document.getElementById('viewImportsBtn');
     if (viewImportsBtn) viewImportsBtn.onclick = showImportHistory;
 
+    document.getElementById('workspaceBtn').onclick = showWorkspacesModal;
+    document.getElementById('newWorkspaceBtn').onclick = createWorkspace;
+
+    document.getElementById('exportWorkspaceBtn').onclick = exportWorkspace;
+    document.getElementById('importWorkspaceBtn').onclick = importWorkspace;
+
+    document.getElementById('enableEncryptionBtn').onclick = () => showPassphraseModal('enable');
+    document.getElementById('changePassphraseBtn').onclick = () => showPassphraseModal('change');
+    document.getElementById('disableEncryptionBtn').onclick = () => showPassphraseModal('disable');
+    document.getElementById('passphraseCancelBtn').onclick = closePassphraseModal;
+    document.getElementById('passphraseSaveBtn').onclick = submitPassphraseForm;
+    document.querySelectorAll('#passphraseModal input').forEach(input => {
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') submitPassphraseForm();
+        };
+    });
+
+    const viewBackupsBtn = document.getElementById('viewBackupsBtn');
+    if (viewBackupsBtn) viewBackupsBtn.onclick = showBackupsModal;
+
+    const addWatchFolderBtn = document.getElementById('addWatchFolderBtn');
+    if (addWatchFolderBtn) addWatchFolderBtn.onclick = addWatchFolder;
+
+    const clearMappingsBtn = document.getElementById('clearMappingsBtn');
+    if (clearMappingsBtn) clearMappingsBtn.onclick = clearColumnMappings;
+
+    document.getElementById('checkDataBtn').onclick = showDataCheckModal;
+    document.getElementById('dataCheckCloseBtn').onclick = closeDataCheckModal;
+    document.getElementById('dataCheckFixBtn').onclick = fixDataProblems;
+
     const clearAllDataBtn = document.getElementById('clearAllDataBtn');
     if (clearAllDataBtn) clearAllDataBtn.onclick = clearAllData;
 
@@ -2259,12 +6035,40 @@ function setupEventListeners() {
     // Modal action buttons
     const testModalOkBtn = document.getElementById('testModalOkBtn');
     if (testModalOkBtn) testModalOkBtn.onclick = closeTestModal;
+    document.getElementById('testModalEditBtn').onclick = () => {
+        closeTestModal();
+        showTestForm(detailsTestId);
+    };
+    document.getElementById('testModalDeleteBtn').onclick = () => deleteTest(detailsTestId);
+
+    // Add/edit test form
+    document.getElementById('addTestBtn').onclick = () => showTestForm();
+    document.getElementById('timelineAddTestBtn').onclick = () => {
+        showTestForm(null, document.getElementById('timelineEmail').textContent);
+    };
+    document.getElementById('testFormCancelBtn').onclick = closeTestForm;
+    document.getElementById('testFormSaveBtn').onclick = submitTestForm;
+    document.querySelectorAll('#testFormModal input').forEach(input => {
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') submitTestForm();
+        };
+    });
 
     const confirmCancelBtn = document.getElementById('confirmCancelBtn');
     if (confirmCancelBtn) confirmCancelBtn.onclick = closeConfirmModal;
 
-    // Render group filter chips on startup
+    // Drag-and-drop import
+    setupDropImport();
+
+    // Render tier and group filter chips on startup
+    renderTierFilterChips();
     renderGroupFilterChips();
+    renderTierSettings();
+
+    const addTierBtn = document.getElementById('addTierBtn');
+    if (addTierBtn) addTierBtn.onclick = addTier;
+    const resetTiersBtn = document.getElementById('resetTiersBtn');
+    if (resetTiersBtn) resetTiersBtn.onclick = resetTiers;
 
     // Sortable column headers
     document.querySelectorAll('.sortable-header').forEach(header => {
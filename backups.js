@@ -0,0 +1,185 @@
+// QueueTrack backups.
+//
+// Timestamped copies of the data, one file per backup, in a directory next to the store.
+// Each file is a line of metadata followed by the data, so a backup can be listed without
+// reading the whole file:
+//   { id, kind, label, createdAt, accounts, tests }
+//   { version, tests, imports, importedHashes }
+//
+// Backups are kept per kind, each with its own retention: hourly and daily ones are taken
+// automatically after saves, the rest just before an import or anything that replaces data.
+//
+// In an encrypted workspace the data line and the label, which can name imported files, are
+// sealed. The rest of the metadata holds no account details and stays readable so the list
+// can be shown; a label that can't be opened is shown as the backup's kind.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, STAGED_SUFFIX } = require('./storage');
+const encryption = require('./encryption');
+
+const BACKUP_EXTENSION = '.backup';
+const DEFAULT_RETENTION = { hourly: 24, daily: 14, import: 10, clear: 10 };
+const SCHEDULE = {
+  hourly: { interval: 60 * 60 * 1000, label: 'Hourly' },
+  daily: { interval: 24 * 60 * 60 * 1000, label: 'Daily' }
+};
+
+// When the newest backup of each kind was made, per backup directory, so the check after
+// each save doesn't read every backup. Refreshed whenever backups are pruned.
+const newestByDir = new Map();
+
+// 2026-10-19T14:05:09.123Z -> 20261019-140509-123
+function formatStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+function getBackupPath(dir, id) {
+  // IDs come from the renderer, so never let one point outside the backup directory
+  if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid backup ID: ${id}`);
+  return path.join(dir, id + BACKUP_EXTENSION);
+}
+
+function readMeta(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(4096);
+    let text = '';
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      text += buffer.toString('utf-8', 0, bytesRead);
+      const end = text.indexOf('\n');
+      if (end !== -1) return JSON.parse(text.slice(0, end));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  throw new Error('Backup has no data');
+}
+
+function openMeta(meta) {
+  try {
+    return { ...meta, label: encryption.unseal(meta.label) };
+  } catch (error) {
+    return { ...meta, label: meta.kind };
+  }
+}
+
+// Newest first. Unreadable files are skipped.
+function listBackups(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(BACKUP_EXTENSION))
+    .map(file => {
+      try {
+        return openMeta(readMeta(path.join(dir, file)));
+      } catch (error) {
+        console.error(`Unreadable backup ${file}:`, error);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+}
+
+function readBackup(dir, id) {
+  const content = fs.readFileSync(getBackupPath(dir, id), 'utf-8');
+  const end = content.indexOf('\n');
+  return { meta: openMeta(JSON.parse(content.slice(0, end))), data: JSON.parse(encryption.unseal(content.slice(end + 1))) };
+}
+
+function createBackup(dir, data, kind, label, retention = DEFAULT_RETENTION) {
+  fs.mkdirSync(dir, { recursive: true });
+  const now = new Date();
+  const tests = data.tests || [];
+
+  let id = `${formatStamp(now)}-${kind}`;
+  for (let n = 2; fs.existsSync(getBackupPath(dir, id)); n++) {
+    id = `${formatStamp(now)}-${kind}-${n}`;
+  }
+
+  const meta = {
+    id,
+    kind,
+    label: label || kind,
+    createdAt: now.toISOString(),
+    accounts: new Set(tests.map(t => t.email)).size,
+    tests: tests.length
+  };
+  const sealedMeta = { ...meta, label: encryption.seal(meta.label) };
+  writeFileAtomic(getBackupPath(dir, id), JSON.stringify(sealedMeta) + '\n' + encryption.seal(JSON.stringify(data)));
+  pruneBackups(dir, retention);
+  return meta;
+}
+
+// `backups` newest first
+function rememberNewest(dir, backups) {
+  const newest = {};
+  backups.forEach(meta => {
+    if (!newest[meta.kind]) newest[meta.kind] = meta.createdAt;
+  });
+  newestByDir.set(dir, newest);
+}
+
+// Deletes the oldest backups of each kind beyond what its retention allows
+function pruneBackups(dir, retention = DEFAULT_RETENTION) {
+  const seen = {};
+  const kept = listBackups(dir).filter(meta => {
+    seen[meta.kind] = (seen[meta.kind] || 0) + 1;
+    const keep = retention[meta.kind] ?? DEFAULT_RETENTION[meta.kind];
+    if (keep !== undefined && seen[meta.kind] > keep) {
+      fs.unlinkSync(getBackupPath(dir, meta.id));
+      return false;
+    }
+    return true;
+  });
+  rememberNewest(dir, kept);
+}
+
+// Takes an hourly and a daily backup when the newest of its kind is older than its interval
+function runScheduledBackups(dir, getData, retention = DEFAULT_RETENTION) {
+  if (!newestByDir.has(dir)) rememberNewest(dir, listBackups(dir));
+  const newestByKind = newestByDir.get(dir);
+  const created = [];
+  Object.entries(SCHEDULE).forEach(([kind, { interval, label }]) => {
+    if ((retention[kind] ?? DEFAULT_RETENTION[kind]) <= 0) return;
+    const newest = newestByKind[kind];
+    if (newest && Date.now() - new Date(newest).getTime() < interval) return;
+    created.push(createBackup(dir, getData(), kind, label, retention));
+  });
+  return created;
+}
+
+// Writes a copy of every backup sealed with `newKey` next to it, reading them with `oldKey`.
+// The copies replace the backups in commitStagedBackups, once the new key is recorded.
+function stageResealedBackups(dir, oldKey, newKey) {
+  listBackups(dir).forEach(meta => {
+    const filePath = getBackupPath(dir, meta.id);
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const end = content.indexOf('\n');
+    const sealedMeta = JSON.parse(content.slice(0, end));
+    sealedMeta.label = encryption.seal(encryption.unseal(sealedMeta.label, oldKey), newKey);
+    const data = encryption.unseal(content.slice(end + 1), oldKey);
+    writeFileAtomic(filePath + STAGED_SUFFIX, JSON.stringify(sealedMeta) + '\n' + encryption.seal(data, newKey));
+  });
+}
+
+function listStagedBackups(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(BACKUP_EXTENSION + STAGED_SUFFIX))
+    .map(file => path.join(dir, file));
+}
+
+function commitStagedBackups(dir) {
+  listStagedBackups(dir).forEach(stagedPath => fs.renameSync(stagedPath, stagedPath.slice(0, -STAGED_SUFFIX.length)));
+}
+
+function discardStagedBackups(dir) {
+  listStagedBackups(dir).forEach(stagedPath => fs.rmSync(stagedPath, { force: true }));
+}
+
+module.exports = {
+  DEFAULT_RETENTION, listBackups, readBackup, createBackup, pruneBackups, runScheduledBackups,
+  stageResealedBackups, commitStagedBackups, discardStagedBackups
+};
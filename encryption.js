@@ -0,0 +1,114 @@
+// QueueTrack encryption at rest.
+//
+// An encrypted workspace has a key derived from its passphrase with scrypt. Everything
+// written with the key is sealed with AES-256-GCM into one line of text:
+//   QTENC1:<salt>:<iv>:<auth tag>:<ciphertext>   (each part base64)
+// The salt names the key, so a sealed file can be told apart from one sealed with another
+// passphrase, and an exported file can be opened anywhere with its passphrase alone.
+// Text that isn't sealed is passed through, so plain files stay readable.
+//
+// Only the key is kept, in memory, never the passphrase.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SEALED_PREFIX = 'QTENC1:';
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_TEXT = 'queuetrack-key-check';
+const MIN_PASSPHRASE_LENGTH = 8;
+
+let activeKey = null; // { key, salt } while an encrypted workspace is unlocked
+
+async function deriveKey(passphrase, salt = crypto.randomBytes(SALT_BYTES)) {
+  const key = await scrypt(String(passphrase), salt, KEY_BYTES, SCRYPT_OPTIONS);
+  return { key, salt };
+}
+
+function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+function isSealed(text) {
+  return typeof text === 'string' && text.startsWith(SEALED_PREFIX);
+}
+
+function parseSealed(text) {
+  const parts = text.slice(SEALED_PREFIX.length).split(':');
+  if (parts.length !== 4) throw new Error('Encrypted data is damaged');
+  const [salt, iv, tag, data] = parts.map(part => Buffer.from(part, 'base64'));
+  return { salt, iv, tag, data };
+}
+
+// The salt a sealed text was encrypted with, to derive its key from a passphrase
+function getSalt(text) {
+  return parseSealed(text).salt;
+}
+
+function seal(text, key = activeKey) {
+  if (!key) return text;
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key.key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+  return SEALED_PREFIX + [key.salt, iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+}
+
+// Throws if `text` is sealed and `key` can't be the one to open it. Damage isn't
+// checked here; unseal reports that.
+function checkKey(text, key = activeKey) {
+  if (!isSealed(text)) return;
+  if (!key) throw new Error('This data is encrypted and the workspace is locked');
+  let salt;
+  try {
+    salt = getSalt(text);
+  } catch (error) {
+    return;
+  }
+  if (!salt.equals(key.salt)) throw new Error('This data was encrypted with a different passphrase');
+}
+
+function unseal(text, key = activeKey) {
+  if (!isSealed(text)) return text;
+  checkKey(text, key);
+  const { iv, tag, data } = parseSealed(text);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key.key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf-8');
+  } catch (error) {
+    throw new Error('Encrypted data could not be read; it may be damaged');
+  }
+}
+
+// A sealed known value, stored with the salt so a passphrase can be checked before use
+function createKeyCheck(key) {
+  return seal(CHECK_TEXT, key);
+}
+
+function verifyKeyCheck(check, key) {
+  try {
+    return unseal(check, key) === CHECK_TEXT;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getKey() {
+  return activeKey;
+}
+
+function setKey(key) {
+  activeKey = key;
+}
+
+module.exports = {
+  deriveKey, validatePassphrase, isSealed, getSalt, checkKey, seal, unseal,
+  createKeyCheck, verifyKeyCheck, getKey, setKey
+};
@@ -2,11 +2,40 @@ const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const XLSX = require('xlsx');
+const Papa = require('papaparse');
+const storage = require('./storage');
+const backups = require('./backups');
+const workspaces = require('./workspaces');
+const encryption = require('./encryption');
 
 // Only enable auto-updater when the app is actually packaged and installed.
 // In dev mode there are no published GitHub releases to check against.
 
 let mainWindow;
+const folderWatchers = new Map(); // folder path -> fs.FSWatcher
+const watchDebounceTimers = new Map(); // file path -> timeout
+const importStreams = new Map(); // stream id -> { input, parser, finish }
+let backupRetention = backups.DEFAULT_RETENTION; // Backups kept per kind, set by the renderer
+
+// File types accepted for import, by extension
+const IMPORT_FORMATS = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.json': 'json',
+  '.jsonl': 'json',
+  '.ndjson': 'json',
+  '.xlsx': 'xlsx',
+  '.xls': 'xlsx'
+};
+
+// Workbooks and JSON have to be read into memory whole; delimited text is streamed
+const MAX_WHOLE_FILE_MB = 200;
+const STREAM_CHUNK_BYTES = 1024 * 1024;
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -182,7 +211,14 @@ function createWindow() {
   setupAutoUpdater();
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  try {
+    workspaces.init(app.getPath('userData'));
+  } catch (error) {
+    console.error('Workspace setup error:', error);
+  }
+  createWindow();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -197,42 +233,93 @@ app.on('activate', () => {
 });
 
 // File Operations
-ipcMain.handle('select-csv-file', async () => {
+ipcMain.handle('select-csv-files', async () => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
-      properties: ['openFile'],
+      properties: ['openFile', 'multiSelections'],
       filters: [
-        { name: 'CSV Files', extensions: ['csv'] },
+        { name: 'Data Files', extensions: Object.keys(IMPORT_FORMATS).map(ext => ext.slice(1)) },
+        { name: 'CSV / TSV', extensions: ['csv', 'tsv', 'tab', 'txt'] },
+        { name: 'Excel Workbooks', extensions: ['xlsx', 'xls'] },
+        { name: 'JSON / JSON Lines', extensions: ['json', 'jsonl', 'ndjson'] },
         { name: 'All Files', extensions: ['*'] }
       ],
-      title: 'Select CSV File to Import'
+      title: 'Select Files to Import'
     });
-    
+
     if (!result.canceled && result.filePaths.length > 0) {
-      return result.filePaths[0];
+      return result.filePaths;
     }
-    return null;
+    return [];
   } catch (error) {
     console.error('File selection error:', error);
-    return null;
+    return [];
   }
 });
 
-ipcMain.handle('read-csv-file', async (event, filePath) => {
+function getImportFormat(filePath) {
+  return IMPORT_FORMATS[path.extname(filePath).toLowerCase()] || 'csv';
+}
+
+// Date cells become YYYY-MM-DD, with HH:MM added when they hold a time of day.
+// Excel stores times as fractions of a day, so they're rounded to the nearest minute first.
+function formatCellValue(value) {
+  if (value instanceof Date) {
+    const d = new Date(Math.round(value.getTime() / 60000) * 60000);
+    const pad = n => String(n).padStart(2, '0');
+    const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    return d.getHours() === 0 && d.getMinutes() === 0 ? date : `${date} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// Each worksheet as { name, headers, rows } using its first row as headers
+function readWorkbookSheets(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  return workbook.SheetNames.map(name => {
+    const grid = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '' });
+    const headers = (grid[0] || []).map(formatCellValue);
+    const rows = grid.slice(1)
+      .filter(cells => cells.some(c => formatCellValue(c) !== ''))
+      .map(cells => {
+        const row = {};
+        headers.forEach((h, i) => {
+          if (h) row[h] = formatCellValue(cells[i]);
+        });
+        return row;
+      });
+    return { name, headers: headers.filter(h => h), rows };
+  });
+}
+
+// Reads a file in any supported format. Workbooks come back as parsed sheets,
+// everything else as text for the renderer to parse.
+function readImportFile(filePath) {
+  const format = getImportFormat(filePath);
+  const buffer = fs.readFileSync(filePath);
+  const hash = hashContent(buffer);
+
+  if (format === 'xlsx') {
+    return { success: true, format, sheets: readWorkbookSheets(buffer), hash };
+  }
+  // Strip a UTF-8 byte order mark so it doesn't end up in the first header
+  const data = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  return { success: true, format, data, hash };
+}
+
+ipcMain.handle('read-import-file', async (event, filePath) => {
   try {
     if (!fs.existsSync(filePath)) {
       return { success: false, error: 'File not found' };
     }
 
-    // Check file size (limit to 50MB)
     const stats = fs.statSync(filePath);
     const fileSizeMB = stats.size / (1024 * 1024);
-    const maxSizeMB = 50;
 
-    if (fileSizeMB > maxSizeMB) {
+    if (fileSizeMB > MAX_WHOLE_FILE_MB) {
       return {
         success: false,
-        error: `File too large (${fileSizeMB.toFixed(1)}MB). Maximum size is ${maxSizeMB}MB.`
+        error: `File too large (${fileSizeMB.toFixed(1)}MB). Maximum size for Excel and JSON files is ${MAX_WHOLE_FILE_MB}MB.`
       };
     }
 
@@ -241,67 +328,538 @@ ipcMain.handle('read-csv-file', async (event, filePath) => {
       return { success: false, error: 'File is empty' };
     }
 
-    const data = fs.readFileSync(filePath, 'utf-8');
-    return { success: true, data };
+    return readImportFile(filePath);
   } catch (error) {
     console.error('File read error:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Data Storage
-ipcMain.handle('save-data', async (event, data) => {
+// Parses a CSV/TSV file in chunks, sending rows to the renderer as 'import-stream-progress'
+// events. Resolves with the headers and content hash once the whole file has been read.
+ipcMain.handle('stream-import-file', async (event, filePath, streamId) => {
   try {
-    const userDataPath = app.getPath('userData');
-    if (!fs.existsSync(userDataPath)) {
-      fs.mkdirSync(userDataPath, { recursive: true });
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: 'File not found' };
     }
-    const dataPath = path.join(userDataPath, 'queuetrack-data.json');
-    
-    // Create backup before saving
-    if (fs.existsSync(dataPath)) {
-      const backupPath = path.join(userDataPath, 'queuetrack-data.backup.json');
-      fs.copyFileSync(dataPath, backupPath);
+
+    const stats = fs.statSync(filePath);
+    if (stats.size === 0) {
+      return { success: false, error: 'File is empty' };
     }
-    
-    fs.writeFileSync(dataPath, JSON.stringify(data, null, 2), 'utf-8');
-    return { success: true };
+
+    const format = getImportFormat(filePath);
+    const hash = crypto.createHash('sha256');
+    const input = fs.createReadStream(filePath, { highWaterMark: STREAM_CHUNK_BYTES });
+    // Decoding on the piped stream keeps multi-byte characters intact across chunk boundaries
+    const text = new PassThrough();
+    text.setEncoding('utf8');
+    input.on('data', chunk => hash.update(chunk));
+    input.pipe(text);
+
+    return await new Promise(resolve => {
+      const entry = { input, parser: null };
+      let headers = null;
+
+      entry.finish = (result) => {
+        importStreams.delete(streamId);
+        input.destroy();
+        resolve(result);
+      };
+      importStreams.set(streamId, entry);
+
+      input.on('error', error => entry.finish({ success: false, error: error.message }));
+
+      Papa.parse(text, {
+        header: true,
+        delimiter: format === 'tsv' ? '\t' : '',
+        skipEmptyLines: true,
+        // Strip a UTF-8 byte order mark so it doesn't end up in the first header
+        transformHeader: (h, i) => (i === 0 ? h.replace(/^\uFEFF/, '') : h).trim(),
+        chunk: (results, parser) => {
+          entry.parser = parser;
+          if (!headers) headers = (results.meta.fields || []).filter(h => h);
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('import-stream-progress', {
+              streamId,
+              rows: results.data,
+              bytesRead: input.bytesRead,
+              totalBytes: stats.size
+            });
+          }
+        },
+        // Aborting calls complete right away, so a cancel has to be caught here
+        complete: (results) => entry.finish(entry.cancelled || (results && results.meta.aborted)
+          ? { success: false, cancelled: true }
+          : { success: true, format, headers: headers || [], hash: hash.digest('hex') }),
+        error: error => entry.finish({ success: false, error: error.message })
+      });
+    });
   } catch (error) {
-    console.error('Data save error:', error);
+    console.error('File stream error:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('load-data', async () => {
+ipcMain.handle('cancel-import-stream', async (event, streamId) => {
+  const entry = importStreams.get(streamId);
+  if (!entry) return { success: false };
+
+  entry.cancelled = true;
+  if (entry.parser) entry.parser.abort();
+  entry.finish({ success: false, cancelled: true });
+  return { success: true };
+});
+
+ipcMain.handle('save-text-file', async (event, defaultName, content) => {
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: defaultName,
+      filters: [
+        { name: 'CSV Files', extensions: ['csv'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      title: 'Save File'
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false };
+    }
+
+    fs.writeFileSync(result.filePath, content, 'utf-8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('File save error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Workspace bundles: a whole workspace (data and settings) in one file
+const BUNDLE_FILTERS = [
+  { name: 'QueueTrack Workspace', extensions: ['qtworkspace'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+// In an encrypted workspace the bundle is sealed with its key, so the same passphrase opens it
+ipcMain.handle('save-workspace-bundle', async (event, defaultName, content) => {
+  try {
+    assertUnlocked();
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: defaultName,
+      filters: BUNDLE_FILTERS,
+      title: 'Export Workspace'
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false };
+    }
+
+    storage.writeFileAtomic(result.filePath, encryption.seal(content));
+    return { success: true, filePath: result.filePath, encrypted: !!encryption.getKey() };
+  } catch (error) {
+    console.error('Bundle export error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Asks for a file unless given one. A bundle sealed with another passphrase comes back
+// with needsPassphrase set; the renderer asks for it and calls again with the same path.
+ipcMain.handle('open-workspace-bundle', async (event, filePath = null, passphrase = null) => {
   try {
-    const userDataPath = app.getPath('userData');
-    const dataPath = path.join(userDataPath, 'queuetrack-data.json');
+    assertUnlocked();
+    if (!filePath) {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: BUNDLE_FILTERS,
+        title: 'Import Workspace'
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false };
+      }
+      filePath = result.filePaths[0];
+    }
+
+    const sizeMB = fs.statSync(filePath).size / (1024 * 1024);
+    if (sizeMB > MAX_WHOLE_FILE_MB) {
+      return { success: false, error: `File is too large (${sizeMB.toFixed(1)}MB). Maximum size is ${MAX_WHOLE_FILE_MB}MB.` };
+    }
 
-    if (fs.existsSync(dataPath)) {
-      const raw = fs.readFileSync(dataPath, 'utf-8');
+    let content = fs.readFileSync(filePath, 'utf-8');
+    if (encryption.isSealed(content)) {
+      const salt = encryption.getSalt(content);
+      const activeKey = encryption.getKey();
+      let key = activeKey && salt.equals(activeKey.salt) ? activeKey : null;
+      if (!key) {
+        if (passphrase === null) return { success: false, needsPassphrase: true, filePath };
+        key = await encryption.deriveKey(passphrase, salt);
+      }
       try {
-        const parsed = JSON.parse(raw);
-        return { success: true, data: parsed };
-      } catch (parseError) {
-        console.error('Corrupted data file, attempting backup recovery:', parseError);
-        // Try loading backup
-        const backupPath = path.join(userDataPath, 'queuetrack-data.backup.json');
-        if (fs.existsSync(backupPath)) {
-          try {
-            const backupRaw = fs.readFileSync(backupPath, 'utf-8');
-            const backupData = JSON.parse(backupRaw);
-            // Restore from backup
-            fs.writeFileSync(dataPath, backupRaw, 'utf-8');
-            return { success: true, data: backupData, recovered: true };
-          } catch (backupError) {
-            console.error('Backup also corrupted:', backupError);
-          }
-        }
-        return { success: true, data: { version: 1, tests: [] }, corrupted: true };
+        content = encryption.unseal(content, key);
+      } catch (error) {
+        return { success: false, needsPassphrase: true, filePath, error: 'Wrong passphrase, or the file is damaged' };
       }
     }
-    // Return empty data with schema version
-    return { success: true, data: { version: 1, tests: [] } };
+    return { success: true, filePath, content };
+  } catch (error) {
+    console.error('Bundle read error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================
+// WATCH FOLDERS
+// ============================
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function isImportPath(filePath) {
+  return Object.prototype.hasOwnProperty.call(IMPORT_FORMATS, path.extname(filePath).toLowerCase());
+}
+
+// Sends a watched file to the renderer once it has stopped changing
+function scheduleWatchedFile(filePath) {
+  if (!isImportPath(filePath)) return;
+
+  clearTimeout(watchDebounceTimers.get(filePath));
+  watchDebounceTimers.set(filePath, setTimeout(() => {
+    watchDebounceTimers.delete(filePath);
+    try {
+      if (!fs.existsSync(filePath)) return;
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile() || stats.size === 0) return;
+      if (stats.size > MAX_WHOLE_FILE_MB * 1024 * 1024) {
+        console.warn(`Skipping watched file over ${MAX_WHOLE_FILE_MB}MB: ${filePath}`);
+        return;
+      }
+
+      const file = readImportFile(filePath);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('watched-file', { filePath, ...file });
+      }
+    } catch (error) {
+      console.error('Watched file read error:', error);
+    }
+  }, 1500));
+}
+
+function stopWatchingFolders() {
+  folderWatchers.forEach(watcher => watcher.close());
+  folderWatchers.clear();
+  watchDebounceTimers.forEach(timer => clearTimeout(timer));
+  watchDebounceTimers.clear();
+}
+
+ipcMain.handle('select-folder', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openDirectory'],
+      title: 'Select Folder to Watch'
+    });
+    if (!result.canceled && result.filePaths.length > 0) {
+      return result.filePaths[0];
+    }
+    return null;
+  } catch (error) {
+    console.error('Folder selection error:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('set-watch-folders', async (event, folders) => {
+  stopWatchingFolders();
+  const errors = [];
+
+  for (const folder of folders) {
+    try {
+      if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        errors.push(`${folder} (not found)`);
+        continue;
+      }
+
+      const watcher = fs.watch(folder, (eventType, filename) => {
+        if (filename) scheduleWatchedFile(path.join(folder, filename));
+      });
+      watcher.on('error', (error) => console.error('Folder watch error:', folder, error));
+      folderWatchers.set(folder, watcher);
+
+      // Pick up files written while the app was closed; the renderer skips ones already imported
+      fs.readdirSync(folder).forEach(name => scheduleWatchedFile(path.join(folder, name)));
+    } catch (error) {
+      errors.push(`${folder} (${error.message})`);
+    }
+  }
+
+  return { success: errors.length === 0, errors };
+});
+
+app.on('before-quit', stopWatchingFolders);
+
+// Encryption
+// An encrypted workspace has an encryption.json holding the salt of its key and a value
+// sealed with it, to check a passphrase against: { version, salt, check }. Until it is
+// unlocked, nothing in the workspace can be read or written.
+//
+// Changing the key is done so that a failure or crash part way can't leave files under a
+// key the workspace doesn't record. The new key goes to encryption.pending.json first, then
+// every file is written again under it beside the original (with storage.STAGED_SUFFIX).
+// Renaming the pending file over encryption.json commits the change, after which the
+// staged files replace the originals. Turning encryption off commits { version, disabled }
+// in the same way, and the key file is removed once the staged files are in place.
+const KEY_FILE = 'encryption.json';
+const PENDING_KEY_FILE = 'encryption.pending.json';
+// Whole files sealed along with the store and the backups
+const SEALED_FILES = ['settings.json', 'queuetrack-data.migrated.json', 'queuetrack-data.backup.migrated.json'];
+
+let rekeyUnfinished = false; // A committed key change couldn't put every file in place
+
+function getKeyFilePath() {
+  return path.join(workspaces.getActiveDir(), KEY_FILE);
+}
+
+function getPendingKeyFilePath() {
+  return path.join(workspaces.getActiveDir(), PENDING_KEY_FILE);
+}
+
+function getSealedFilePaths() {
+  return SEALED_FILES.map(file => path.join(workspaces.getActiveDir(), file));
+}
+
+// null when the workspace isn't encrypted
+function readKeyFile() {
+  const keyFilePath = getKeyFilePath();
+  if (!fs.existsSync(keyFilePath)) return null;
+  const keyFile = JSON.parse(fs.readFileSync(keyFilePath, 'utf-8'));
+  if (keyFile.disabled) return null;
+  return { salt: Buffer.from(keyFile.salt, 'base64'), check: keyFile.check };
+}
+
+function assertUnlocked() {
+  if (rekeyUnfinished) {
+    throw new Error('Restart QueueTrack to finish changing the passphrase');
+  }
+  if (!encryption.getKey() && readKeyFile()) {
+    throw new Error('This workspace is locked');
+  }
+}
+
+async function checkPassphrase(passphrase) {
+  const keyFile = readKeyFile();
+  const key = await encryption.deriveKey(passphrase, keyFile.salt);
+  return encryption.verifyKeyCheck(keyFile.check, key) ? key : null;
+}
+
+// Puts the files staged by a committed key change in place. Safe to repeat.
+function commitStagedRekey() {
+  storage.commitStagedSnapshot(getDataStoreDir());
+  getSealedFilePaths().forEach(filePath => {
+    if (fs.existsSync(filePath + storage.STAGED_SUFFIX)) fs.renameSync(filePath + storage.STAGED_SUFFIX, filePath);
+  });
+  backups.commitStagedBackups(getBackupDir());
+  if (fs.existsSync(getKeyFilePath()) && !readKeyFile()) fs.rmSync(getKeyFilePath());
+}
+
+// Drops a key change that wasn't committed. The pending key file goes last, so a crash
+// here is cleaned up the same way next time.
+function discardStagedRekey() {
+  storage.discardStagedSnapshot(getDataStoreDir());
+  getSealedFilePaths().forEach(filePath => fs.rmSync(filePath + storage.STAGED_SUFFIX, { force: true }));
+  backups.discardStagedBackups(getBackupDir());
+  fs.rmSync(getPendingKeyFilePath(), { force: true });
+}
+
+// Finishes or drops a key change cut short by a crash. It was committed if the pending
+// key file has already replaced the key file.
+function recoverInterruptedRekey() {
+  if (fs.existsSync(getPendingKeyFilePath())) discardStagedRekey();
+  else commitStagedRekey();
+}
+
+// Rewrites the workspace under a new key, or unencrypted when newKey is null. The store
+// must be open. If anything fails before the commit, the workspace is left as it was.
+function rekeyWorkspace(newKey) {
+  const oldKey = encryption.getKey();
+  storage.getData(); // Throws unless the store is open
+
+  let committed = false;
+  try {
+    const keyFile = newKey
+      ? { version: 1, salt: newKey.salt.toString('base64'), check: encryption.createKeyCheck(newKey) }
+      : { version: 1, disabled: true };
+    storage.writeFileAtomic(getPendingKeyFilePath(), JSON.stringify(keyFile, null, 2));
+
+    storage.stageSnapshot(newKey);
+    getSealedFilePaths().filter(filePath => fs.existsSync(filePath)).forEach(filePath => {
+      const content = encryption.unseal(fs.readFileSync(filePath, 'utf-8'), oldKey);
+      storage.writeFileAtomic(filePath + storage.STAGED_SUFFIX, encryption.seal(content, newKey));
+    });
+    backups.stageResealedBackups(getBackupDir(), oldKey, newKey);
+
+    fs.renameSync(getPendingKeyFilePath(), getKeyFilePath());
+    committed = true;
+    encryption.setKey(newKey);
+    commitStagedRekey();
+  } catch (error) {
+    if (committed) {
+      // The new key is recorded; the next start puts the remaining files in place.
+      // Until then nothing is written, so nothing lands behind a staged snapshot.
+      rekeyUnfinished = true;
+      throw error;
+    }
+    encryption.setKey(oldKey);
+    try {
+      discardStagedRekey();
+    } catch (cleanupError) {
+      console.error('Could not remove files staged for the key change:', cleanupError);
+    }
+    throw error;
+  }
+}
+
+ipcMain.handle('get-encryption-status', async () => {
+  try {
+    // The first thing asked of a workspace when it opens, so the place to finish a key change
+    if (!rekeyUnfinished) recoverInterruptedRekey();
+    const enabled = !!readKeyFile();
+    return { success: true, enabled, unlocked: !enabled || !!encryption.getKey() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('unlock-workspace', async (event, passphrase) => {
+  try {
+    const key = await checkPassphrase(passphrase);
+    if (!key) return { success: false, error: 'Wrong passphrase' };
+    encryption.setKey(key);
+    return { success: true };
+  } catch (error) {
+    console.error('Unlock error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Turns encryption on (no current passphrase yet), changes the passphrase, or turns it
+// off (newPassphrase null). The current passphrase is asked for again even though the
+// workspace is unlocked.
+ipcMain.handle('change-passphrase', async (event, currentPassphrase, newPassphrase) => {
+  try {
+    assertUnlocked();
+    if (readKeyFile() && !(await checkPassphrase(currentPassphrase))) {
+      return { success: false, error: 'The current passphrase is wrong' };
+    }
+    let newKey = null;
+    if (newPassphrase !== null) {
+      encryption.validatePassphrase(newPassphrase);
+      newKey = await encryption.deriveKey(newPassphrase);
+    }
+    rekeyWorkspace(newKey);
+    return { success: true, enabled: !!newKey };
+  } catch (error) {
+    console.error('Passphrase change error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Data Storage
+// Data is kept in the journaled store in storage.js, one per workspace. The store is
+// opened on first load, migrating the old queuetrack-data.json if there is one.
+function getDataStoreDir() {
+  return path.join(workspaces.getActiveDir(), 'queuetrack-store');
+}
+
+function getBackupDir() {
+  return path.join(workspaces.getActiveDir(), 'queuetrack-backups');
+}
+
+// A failed backup shouldn't fail the save that triggered it
+function runScheduledBackups() {
+  try {
+    backups.runScheduledBackups(getBackupDir(), storage.getData, backupRetention);
+  } catch (error) {
+    console.error('Scheduled backup error:', error);
+  }
+}
+
+ipcMain.handle('load-data', async () => {
+  try {
+    assertUnlocked();
+    const workspaceDir = workspaces.getActiveDir();
+    const result = storage.openStore(getDataStoreDir(), [
+      path.join(workspaceDir, 'queuetrack-data.json'),
+      path.join(workspaceDir, 'queuetrack-data.backup.json')
+    ]);
+    runScheduledBackups();
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Data load error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Incremental save: one changeset of upserted tests, removed test IDs and changed metadata
+ipcMain.handle('save-changes', async (event, changes) => {
+  try {
+    assertUnlocked();
+    storage.appendChanges(changes);
+    runScheduledBackups();
+    return { success: true };
+  } catch (error) {
+    console.error('Data save error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Full save, replacing everything in the store
+ipcMain.handle('save-data', async (event, data) => {
+  try {
+    assertUnlocked();
+    storage.replaceData(data);
+    runScheduledBackups();
+    return { success: true };
+  } catch (error) {
+    console.error('Data save error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Backups
+ipcMain.handle('set-backup-retention', async (event, retention) => {
+  backupRetention = { ...backups.DEFAULT_RETENTION, ...retention };
+  try {
+    backups.pruneBackups(getBackupDir(), backupRetention);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Backs up the stored data before something replaces or adds to it
+ipcMain.handle('create-backup', async (event, kind, label) => {
+  try {
+    assertUnlocked();
+    if (backupRetention[kind] <= 0) return { success: true, backup: null };
+    const backup = backups.createBackup(getBackupDir(), storage.getData(), kind, label, backupRetention);
+    return { success: true, backup };
+  } catch (error) {
+    console.error('Backup error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-backups', async () => {
+  try {
+    return { success: true, backups: backups.listBackups(getBackupDir()) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('read-backup', async (event, id) => {
+  try {
+    assertUnlocked();
+    return { success: true, ...backups.readBackup(getBackupDir(), id) };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -310,9 +868,9 @@ ipcMain.handle('load-data', async () => {
 // Settings
 ipcMain.handle('save-settings', async (event, settings) => {
   try {
-    const userDataPath = app.getPath('userData');
-    const settingsPath = path.join(userDataPath, 'settings.json');
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    assertUnlocked();
+    const settingsPath = path.join(workspaces.getActiveDir(), 'settings.json');
+    fs.writeFileSync(settingsPath, encryption.seal(JSON.stringify(settings, null, 2)));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -321,14 +879,15 @@ ipcMain.handle('save-settings', async (event, settings) => {
 
 ipcMain.handle('load-settings', async () => {
   try {
-    const userDataPath = app.getPath('userData');
-    const settingsPath = path.join(userDataPath, 'settings.json');
-    
-    const defaultSettings = { darkMode: false, rowSize: 'normal', groups: {} };
+    assertUnlocked();
+    const settingsPath = path.join(workspaces.getActiveDir(), 'settings.json');
+
+    const defaultSettings = { darkMode: false, rowSize: 'normal', groups: {}, columnMappings: {}, duplicatePolicy: 'skip', dateFormat: 'auto', watchFolders: [], backupRetention: backups.DEFAULT_RETENTION };
     if (fs.existsSync(settingsPath)) {
       const raw = fs.readFileSync(settingsPath, 'utf-8');
+      encryption.checkKey(raw);
       try {
-        const parsed = JSON.parse(raw);
+        const parsed = JSON.parse(encryption.unseal(raw));
         return { success: true, data: { ...defaultSettings, ...parsed } };
       } catch (parseError) {
         console.error('Corrupted settings file, using defaults:', parseError);
@@ -340,3 +899,61 @@ ipcMain.handle('load-settings', async () => {
     return { success: false, error: error.message };
   }
 });
+
+// Workspaces
+// Opening a workspace only records the choice; the renderer then reloads, which loads
+// the workspace's settings and data through the handlers above.
+ipcMain.handle('list-workspaces', async () => {
+  try {
+    return { success: true, ...workspaces.list() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-workspace', async (event, id) => {
+  try {
+    workspaces.open(id);
+    encryption.setKey(null);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-workspace', async (event, name) => {
+  try {
+    return { success: true, workspace: workspaces.create(name) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('duplicate-workspace', async (event, id, name) => {
+  try {
+    return { success: true, workspace: workspaces.duplicate(id, name) };
+  } catch (error) {
+    console.error('Workspace duplicate error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rename-workspace', async (event, id, name) => {
+  try {
+    return { success: true, workspace: workspaces.rename(id, name) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-workspace', async (event, id) => {
+  try {
+    const active = workspaces.getActive().id;
+    workspaces.remove(id);
+    if (workspaces.getActive().id !== active) encryption.setKey(null);
+    return { success: true, active: workspaces.getActive().id };
+  } catch (error) {
+    console.error('Workspace delete error:', error);
+    return { success: false, error: error.message };
+  }
+});
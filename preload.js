@@ -2,13 +2,46 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose a safe API to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
-    selectCsvFile: () => ipcRenderer.invoke('select-csv-file'),
-    readCsvFile: (filePath) => ipcRenderer.invoke('read-csv-file', filePath),
+    selectCsvFiles: () => ipcRenderer.invoke('select-csv-files'),
+    readImportFile: (filePath) => ipcRenderer.invoke('read-import-file', filePath),
+    streamImportFile: (filePath, streamId) => ipcRenderer.invoke('stream-import-file', filePath, streamId),
+    cancelImportStream: (streamId) => ipcRenderer.invoke('cancel-import-stream', streamId),
+    onImportStreamProgress: (callback) => {
+        ipcRenderer.on('import-stream-progress', (event, data) => callback(data));
+    },
+    saveTextFile: (defaultName, content) => ipcRenderer.invoke('save-text-file', defaultName, content),
     saveData: (data) => ipcRenderer.invoke('save-data', data),
+    saveChanges: (changes) => ipcRenderer.invoke('save-changes', changes),
     loadData: () => ipcRenderer.invoke('load-data'),
     saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
     loadSettings: () => ipcRenderer.invoke('load-settings'),
 
+    // Backups
+    setBackupRetention: (retention) => ipcRenderer.invoke('set-backup-retention', retention),
+    createBackup: (kind, label) => ipcRenderer.invoke('create-backup', kind, label),
+    listBackups: () => ipcRenderer.invoke('list-backups'),
+    readBackup: (id) => ipcRenderer.invoke('read-backup', id),
+
+    // Workspaces
+    listWorkspaces: () => ipcRenderer.invoke('list-workspaces'),
+    openWorkspace: (id) => ipcRenderer.invoke('open-workspace', id),
+    createWorkspace: (name) => ipcRenderer.invoke('create-workspace', name),
+    duplicateWorkspace: (id, name) => ipcRenderer.invoke('duplicate-workspace', id, name),
+    renameWorkspace: (id, name) => ipcRenderer.invoke('rename-workspace', id, name),
+    deleteWorkspace: (id) => ipcRenderer.invoke('delete-workspace', id),
+    saveWorkspaceBundle: (defaultName, content) => ipcRenderer.invoke('save-workspace-bundle', defaultName, content),
+    openWorkspaceBundle: (filePath, passphrase) => ipcRenderer.invoke('open-workspace-bundle', filePath, passphrase),
+    getEncryptionStatus: () => ipcRenderer.invoke('get-encryption-status'),
+    unlockWorkspace: (passphrase) => ipcRenderer.invoke('unlock-workspace', passphrase),
+    changePassphrase: (currentPassphrase, newPassphrase) => ipcRenderer.invoke('change-passphrase', currentPassphrase, newPassphrase),
+
+    // Watch folders
+    selectFolder: () => ipcRenderer.invoke('select-folder'),
+    setWatchFolders: (folders) => ipcRenderer.invoke('set-watch-folders', folders),
+    onWatchedFile: (callback) => {
+        ipcRenderer.on('watched-file', (event, file) => callback(file));
+    },
+
     // Auto-updater
     checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
     downloadUpdate: () => ipcRenderer.invoke('download-update'),
@@ -0,0 +1,273 @@
+// QueueTrack data store.
+//
+// Data lives in a directory holding a compact snapshot and an append-only journal:
+//   snapshot.json       { format, seq, data }  - the full data as of journal entry `seq`
+//   snapshot.prev.json  the snapshot before the last compaction, kept as a fallback
+//   journal.jsonl       one changeset per line: { seq, changes, sum }
+//
+// Every write is atomic. Changesets are appended and fsynced as a single line with a
+// checksum, so a crash can at worst leave a torn last line, which is dropped on load.
+// Snapshots are written to a temp file, fsynced and renamed into place. Once the
+// journal grows past a limit it is folded into a new snapshot (compaction).
+//
+// In an encrypted workspace the snapshots and each journal line are sealed (encryption.js).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const encryption = require('./encryption');
+
+const STORE_FORMAT = 1;
+const SNAPSHOT_FILE = 'snapshot.json';
+const PREVIOUS_SNAPSHOT_FILE = 'snapshot.prev.json';
+const JOURNAL_FILE = 'journal.jsonl';
+const MAX_JOURNAL_BYTES = 4 * 1024 * 1024;
+const MAX_JOURNAL_ENTRIES = 500;
+const STAGED_SUFFIX = '.rekey'; // Files written under a new encryption key, not yet in use
+
+const EMPTY_DATA = { version: 1, tests: [], imports: [], importedHashes: [] };
+
+let store = null; // { dir, seq, journalBytes, journalEntries, version, tests: Map, imports, importedHashes }
+
+function checksum(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Writes a file so that readers see either the old or the new contents, never a mix
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const content = fs.readFileSync(filePath, 'utf-8');
+  // A locked store must fail to open, not be mistaken for a damaged one and replaced
+  encryption.checkKey(content);
+  try {
+    return JSON.parse(encryption.unseal(content));
+  } catch (error) {
+    console.error(`Unreadable store file ${filePath}:`, error);
+    return null;
+  }
+}
+
+function toData() {
+  return {
+    version: store.version,
+    tests: [...store.tests.values()],
+    imports: store.imports,
+    importedHashes: store.importedHashes
+  };
+}
+
+function setData(data) {
+  store.version = data.version || 0;
+  store.tests = new Map();
+  (data.tests || []).forEach((test, i) => {
+    // Tests from before schema v2 have no id yet; key them by position until the app migrates them
+    store.tests.set(test.id || `legacy-${i}`, test);
+  });
+  store.imports = data.imports || [];
+  store.importedHashes = data.importedHashes || [];
+}
+
+function applyChanges(changes) {
+  (changes.removes || []).forEach(id => store.tests.delete(id));
+  (changes.upserts || []).forEach(test => store.tests.set(test.id, test));
+
+  const imports = new Map(store.imports.map(imp => [imp.id, imp]));
+  if (changes.imports) {
+    changes.imports.removes.forEach(id => imports.delete(id));
+    changes.imports.upserts.forEach(imp => imports.set(imp.id, imp));
+  }
+  if (changes.meta && changes.meta.importOrder) {
+    store.imports = changes.meta.importOrder.map(id => imports.get(id)).filter(Boolean);
+  } else {
+    store.imports = [...imports.values()];
+  }
+  if (changes.meta && changes.meta.importedHashes) store.importedHashes = changes.meta.importedHashes;
+}
+
+function writeSnapshot() {
+  const snapshotPath = path.join(store.dir, SNAPSHOT_FILE);
+  if (fs.existsSync(snapshotPath)) {
+    fs.copyFileSync(snapshotPath, path.join(store.dir, PREVIOUS_SNAPSHOT_FILE));
+  }
+  writeFileAtomic(snapshotPath, encryption.seal(JSON.stringify({ format: STORE_FORMAT, seq: store.seq, data: toData() })));
+
+  // The snapshot now covers every journal entry, so the journal starts over
+  writeFileAtomic(path.join(store.dir, JOURNAL_FILE), '');
+  store.journalBytes = 0;
+  store.journalEntries = 0;
+}
+
+// Replays journal entries newer than the snapshot. Stops at the first damaged line and
+// cuts the journal back to the last good entry so later appends aren't lost behind it.
+function replayJournal() {
+  const journalPath = path.join(store.dir, JOURNAL_FILE);
+  if (!fs.existsSync(journalPath)) return;
+
+  const content = fs.readFileSync(journalPath, 'utf-8');
+  let offset = 0;
+  let entries = 0;
+
+  while (offset < content.length) {
+    const end = content.indexOf('\n', offset);
+    if (end === -1) break;
+
+    let entry;
+    try {
+      entry = JSON.parse(encryption.unseal(content.slice(offset, end)));
+    } catch (error) {
+      break;
+    }
+    const changesJson = JSON.stringify(entry.changes);
+    if (checksum(changesJson) !== entry.sum) break;
+
+    if (entry.seq > store.seq) {
+      applyChanges(entry.changes);
+      store.seq = entry.seq;
+    }
+    offset = end + 1;
+    entries++;
+  }
+
+  if (offset < content.length) {
+    console.error(`Discarding damaged journal tail (${content.length - offset} bytes)`);
+    fs.truncateSync(journalPath, Buffer.byteLength(content.slice(0, offset)));
+  }
+  store.journalBytes = Buffer.byteLength(content.slice(0, offset));
+  store.journalEntries = entries;
+}
+
+// Opens the store in `dir`, creating it from `legacyFiles` (the old single JSON data
+// file and its backup, tried in order) the first time. Returns the loaded data.
+function openStore(dir, legacyFiles = []) {
+  fs.mkdirSync(dir, { recursive: true });
+  store = { dir, seq: 0, journalBytes: 0, journalEntries: 0 };
+  const result = { recovered: false, corrupted: false, migrated: false };
+
+  let snapshot = readJsonFile(path.join(dir, SNAPSHOT_FILE));
+  if (!snapshot && fs.existsSync(path.join(dir, SNAPSHOT_FILE))) {
+    snapshot = readJsonFile(path.join(dir, PREVIOUS_SNAPSHOT_FILE));
+    if (snapshot) result.recovered = true;
+    else result.corrupted = true;
+  }
+
+  if (snapshot) {
+    setData(snapshot.data || EMPTY_DATA);
+    store.seq = snapshot.seq || 0;
+    replayJournal();
+    return { ...result, data: toData() };
+  }
+
+  // One-time migration from the single-file format
+  let legacy = null;
+  for (const file of legacyFiles) {
+    legacy = readJsonFile(file);
+    if (legacy) {
+      result.migrated = true;
+      result.recovered = file !== legacyFiles[0];
+      break;
+    }
+  }
+  if (!legacy && legacyFiles.some(file => fs.existsSync(file))) result.corrupted = true;
+
+  // Very old files were a bare array of tests. Version 0 tells the app to migrate them.
+  setData(Array.isArray(legacy) ? { version: 0, tests: legacy } : legacy || EMPTY_DATA);
+  writeSnapshot();
+
+  // The old files are kept, renamed, in case the migration ever needs checking
+  if (result.migrated) {
+    legacyFiles.filter(file => fs.existsSync(file)).forEach(file => {
+      fs.renameSync(file, file.replace(/\.json$/, '.migrated.json'));
+    });
+  }
+  return { ...result, data: toData() };
+}
+
+// Appends one changeset as a single atomic journal entry:
+//   { upserts, removes, imports: { upserts, removes }, meta: { importOrder, importedHashes } }
+// Tests and imports are upserted or removed by ID; imports and meta are left out when unchanged.
+function appendChanges(changes) {
+  if (!store) throw new Error('Data store is not open');
+
+  const changesJson = JSON.stringify(changes);
+  const line = encryption.seal(JSON.stringify({ seq: store.seq + 1, changes, sum: checksum(changesJson) })) + '\n';
+
+  const fd = fs.openSync(path.join(store.dir, JOURNAL_FILE), 'a');
+  try {
+    fs.writeSync(fd, line);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  store.seq++;
+  applyChanges(changes);
+  store.journalBytes += Buffer.byteLength(line);
+  store.journalEntries++;
+
+  if (store.journalBytes > MAX_JOURNAL_BYTES || store.journalEntries > MAX_JOURNAL_ENTRIES) {
+    writeSnapshot();
+  }
+}
+
+// Replaces everything in the store with `data`, e.g. after a schema migration
+function replaceData(data) {
+  if (!store) throw new Error('Data store is not open');
+  setData(data);
+  store.seq++;
+  writeSnapshot();
+}
+
+// The data as currently stored, e.g. for taking a backup
+function getData() {
+  if (!store) throw new Error('Data store is not open');
+  return toData();
+}
+
+// Changing the encryption key happens in two steps, so a failure part way never leaves the
+// store under a key the workspace doesn't record. stageSnapshot writes the whole store,
+// sealed with the new key, next to the live files; commitStagedSnapshot puts it in their
+// place once the new key is recorded. Until then the live files are untouched.
+function getStagedSnapshotPath(dir) {
+  return path.join(dir, SNAPSHOT_FILE + STAGED_SUFFIX);
+}
+
+function stageSnapshot(key) {
+  if (!store) throw new Error('Data store is not open');
+  const content = JSON.stringify({ format: STORE_FORMAT, seq: store.seq, data: toData() });
+  writeFileAtomic(getStagedSnapshotPath(store.dir), encryption.seal(content, key));
+}
+
+// Safe to repeat: the staged snapshot is moved into place last, so it stays until the
+// previous snapshot and the journal no longer hold anything under the old key.
+function commitStagedSnapshot(dir) {
+  const stagedPath = getStagedSnapshotPath(dir);
+  if (!fs.existsSync(stagedPath)) return;
+  fs.copyFileSync(stagedPath, path.join(dir, PREVIOUS_SNAPSHOT_FILE));
+  writeFileAtomic(path.join(dir, JOURNAL_FILE), '');
+  fs.renameSync(stagedPath, path.join(dir, SNAPSHOT_FILE));
+  if (store && store.dir === dir) {
+    store.journalBytes = 0;
+    store.journalEntries = 0;
+  }
+}
+
+function discardStagedSnapshot(dir) {
+  fs.rmSync(getStagedSnapshotPath(dir), { force: true });
+}
+
+module.exports = {
+  STAGED_SUFFIX, openStore, appendChanges, replaceData, getData,
+  stageSnapshot, commitStagedSnapshot, discardStagedSnapshot, writeFileAtomic
+};
@@ -0,0 +1,153 @@
+// QueueTrack workspaces.
+//
+// Each workspace is a directory under userData/workspaces holding its own data store,
+// backups and settings. workspaces.json lists them and remembers the last one opened:
+//   { lastOpened, workspaces: [{ id, name, createdAt }] }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage');
+
+const INDEX_FILE = 'workspaces.json';
+const WORKSPACES_DIR = 'workspaces';
+const MAX_NAME_LENGTH = 60;
+
+// Everything that lived directly in userData before workspaces; moved into the first one
+const WORKSPACE_FILES = [
+  'queuetrack-store', 'queuetrack-backups', 'settings.json',
+  'queuetrack-data.json', 'queuetrack-data.backup.json', 'queuetrack-data.migrated.json'
+];
+// What a duplicate gets: the data, settings and key file, not the backups
+const DUPLICATED_FILES = ['queuetrack-store', 'settings.json', 'encryption.json'];
+
+let root = null;
+let index = null;
+
+function saveIndex() {
+  writeFileAtomic(path.join(root, INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+function getWorkspaceDir(id) {
+  return path.join(root, WORKSPACES_DIR, id);
+}
+
+function findWorkspace(id) {
+  const workspace = index.workspaces.find(w => w.id === id);
+  if (!workspace) throw new Error('Workspace not found');
+  return workspace;
+}
+
+function validateName(name, exceptId = null) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Enter a name');
+  if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`Names can be at most ${MAX_NAME_LENGTH} characters`);
+  const taken = index.workspaces.some(w => w.id !== exceptId && w.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) throw new Error(`There is already a workspace called "${trimmed}"`);
+  return trimmed;
+}
+
+function addWorkspace(name) {
+  const workspace = { id: crypto.randomUUID(), name, createdAt: new Date().toISOString() };
+  fs.mkdirSync(getWorkspaceDir(workspace.id), { recursive: true });
+  index.workspaces.push(workspace);
+  return workspace;
+}
+
+// Loads the workspace list, creating it on first run. Existing data becomes the
+// "Default" workspace.
+function init(userDataPath) {
+  root = userDataPath;
+  const indexPath = path.join(root, INDEX_FILE);
+  if (fs.existsSync(indexPath)) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    } catch (error) {
+      console.error('Unreadable workspace list, rebuilding it:', error);
+      index = null;
+    }
+  }
+
+  if (!index || !Array.isArray(index.workspaces)) {
+    // Rebuild from the workspace directories if the list was lost
+    const dir = path.join(root, WORKSPACES_DIR);
+    const existing = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    index = {
+      lastOpened: null,
+      workspaces: existing.map((id, i) => ({ id, name: `Workspace ${i + 1}`, createdAt: new Date().toISOString() }))
+    };
+  }
+
+  if (index.workspaces.length === 0) {
+    const workspace = addWorkspace('Default');
+    WORKSPACE_FILES.forEach(file => {
+      const from = path.join(root, file);
+      if (fs.existsSync(from)) {
+        console.log(`Moving ${file} into the Default workspace`);
+        fs.renameSync(from, path.join(getWorkspaceDir(workspace.id), file));
+      }
+    });
+  }
+
+  if (!index.workspaces.some(w => w.id === index.lastOpened)) {
+    index.lastOpened = index.workspaces[0].id;
+  }
+  saveIndex();
+}
+
+function getActive() {
+  return findWorkspace(index.lastOpened);
+}
+
+function getActiveDir() {
+  return getWorkspaceDir(index.lastOpened);
+}
+
+function list() {
+  return { active: index.lastOpened, workspaces: index.workspaces };
+}
+
+function open(id) {
+  findWorkspace(id);
+  index.lastOpened = id;
+  saveIndex();
+}
+
+function create(name) {
+  const workspace = addWorkspace(validateName(name));
+  saveIndex();
+  return workspace;
+}
+
+function duplicate(id, name) {
+  const source = findWorkspace(id);
+  const workspace = addWorkspace(validateName(name));
+  DUPLICATED_FILES.forEach(file => {
+    const from = path.join(getWorkspaceDir(source.id), file);
+    if (fs.existsSync(from)) {
+      fs.cpSync(from, path.join(getWorkspaceDir(workspace.id), file), { recursive: true });
+    }
+  });
+  saveIndex();
+  return workspace;
+}
+
+function rename(id, name) {
+  const workspace = findWorkspace(id);
+  workspace.name = validateName(name, id);
+  saveIndex();
+  return workspace;
+}
+
+// Deletes a workspace and everything in it. Deleting the open one opens another.
+function remove(id) {
+  findWorkspace(id);
+  if (index.workspaces.length === 1) throw new Error('The last workspace can\'t be deleted');
+
+  index.workspaces = index.workspaces.filter(w => w.id !== id);
+  if (index.lastOpened === id) index.lastOpened = index.workspaces[0].id;
+  saveIndex();
+  fs.rmSync(getWorkspaceDir(id), { recursive: true, force: true });
+}
+
+module.exports = { init, getActive, getActiveDir, list, open, create, duplicate, rename, remove };